@@ -0,0 +1,329 @@
+// analysis.js - Audio analysis shared by every style: bands, onsets, beats and tempo
+//
+// An analysis source wraps one AnalyserNode; app.js reads it once per frame and
+// passes the results to the active style through the scene (see registry.js).
+
+// ----- Band analysis -----
+// Groups the FFT bins into bands spaced the way hearing works, smooths them with
+// separate attack and release times and normalizes each band against its recent
+// peak, so quiet and loud masters both drive the visuals across the whole range.
+
+const DEFAULT_ANALYSIS_SETTINGS = {
+  fftSize: 2048,
+  bandCount: 16,
+  scale: "log",        // "log" | "mel" | "octave" | "linear"
+  minHz: 30,
+  maxHz: 16000,
+  attack: 0.03,        // seconds to follow a rise
+  release: 0.25,       // seconds to fall back
+  autoGain: true
+};
+
+function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+// bandCount + 1 edge frequencies between minHz and maxHz
+function bandEdges(settings) {
+  const { bandCount, minHz, maxHz, scale } = settings;
+  const octaves = Math.log2(maxHz / minHz);
+  // Octave bands are even splits of an octave counted down from maxHz; with fewer
+  // bands than octaves each band spans several
+  const octaveStep = bandCount >= octaves ? 1 / Math.round(bandCount / octaves) : octaves / bandCount;
+  const edges = [];
+  for (let i = 0; i <= bandCount; i++) {
+    const t = i / bandCount;
+    if (scale === "mel") {
+      edges.push(melToHz(hzToMel(minHz) + t * (hzToMel(maxHz) - hzToMel(minHz))));
+    } else if (scale === "octave") {
+      edges.push(Math.max(minHz, maxHz / Math.pow(2, (bandCount - i) * octaveStep)));
+    } else if (scale === "linear") {
+      edges.push(minHz + t * (maxHz - minHz));
+    } else {
+      edges.push(minHz * Math.pow(maxHz / minHz, t));
+    }
+  }
+  return edges;
+}
+
+// levels interpolated at x (0 = first, 1 = last)
+function levelAt(levels, x) {
+  const count = levels.length;
+  const position = Math.min(1, Math.max(0, x)) * (count - 1);
+  const i = Math.floor(position);
+  const t = position - i;
+  return i + 1 < count ? levels[i] * (1 - t) + levels[i + 1] * t : levels[i];
+}
+
+function createBandAnalyser(settings, binCount, sampleRate) {
+  const edges = bandEdges(settings);
+  const count = settings.bandCount;
+  const binHz = sampleRate / 2 / binCount;
+  const ranges = [];
+  for (let b = 0; b < count; b++) {
+    // Narrow low bands may fall between two bins; they still get one
+    const from = Math.min(binCount - 1, Math.max(1, Math.floor(edges[b] / binHz)));
+    const to = Math.min(binCount, Math.max(from + 1, Math.floor(edges[b + 1] / binHz)));
+    ranges.push([from, to]);
+  }
+
+  const values = new Float32Array(count);   // smoothed, normalized 0..1
+  const peaks = new Float32Array(count).fill(0.2);
+  let lastTime = null;
+
+  function update(spectrum, time) {
+    const dt = lastTime === null ? 0 : Math.min(0.25, Math.max(0, time - lastTime));
+    lastTime = time;
+    const attack = 1 - Math.exp(-dt / Math.max(0.001, settings.attack));
+    const release = 1 - Math.exp(-dt / Math.max(0.001, settings.release));
+    const peakDecay = Math.exp(-dt / 4); // auto-gain forgets a loud passage over a few seconds
+
+    for (let b = 0; b < count; b++) {
+      const [from, to] = ranges[b];
+      let sum = 0;
+      for (let i = from; i < to; i++) sum += spectrum[i];
+      let value = sum / ((to - from) * 255);
+
+      if (settings.autoGain) {
+        peaks[b] = Math.max(value, peaks[b] * peakDecay, 0.08);
+        value = Math.min(1, value / peaks[b]) * Math.min(1, (peaks[b] - 0.03) * 5); // near-silence stays dark
+      }
+
+      const k = value > values[b] ? attack : release;
+      values[b] = dt ? values[b] + (value - values[b]) * k : value;
+    }
+    return values;
+  }
+
+  // Level at x (0 = lowest band, 1 = highest), interpolated between bands
+  function level(x) {
+    return levelAt(values, x);
+  }
+
+  // The bands folded into n equal groups (the 4 coarse bands styles index directly)
+  function groups(n) {
+    const result = [];
+    for (let g = 0; g < n; g++) {
+      const from = Math.floor((g * count) / n);
+      const to = Math.max(from + 1, Math.floor(((g + 1) * count) / n));
+      let sum = 0;
+      for (let b = from; b < to; b++) sum += values[b];
+      result.push(sum / (to - from));
+    }
+    return result;
+  }
+
+  return {
+    values,
+    edges,
+    update,
+    level,
+    groups
+  };
+}
+
+// ----- Beat tracking -----
+// Spectral-flux onsets with an adaptive threshold, tempo from the spread of
+// inter-onset intervals, and a beat grid that locks onto the onsets.
+//
+// update(spectrum, time) returns, for that frame:
+//   onset      - null, or { time, strength (0..1), low, high } when a transient starts
+//   beat       - null, or { time, strength, bpm } on the frame a beat lands
+//   beatPhase  - 0 at a beat rising to 1 just before the next one
+//   bpm        - current tempo estimate, 0 until there is one
+//   flux       - this frame's spectral flux
+
+const BEAT_MIN_BPM = 60;
+const BEAT_MAX_BPM = 180;
+
+function createBeatTracker() {
+  const listeners = [];
+  const fluxHistory = [];      // { time, flux } over the last THRESHOLD_WINDOW seconds
+  const onsetTimes = [];       // for the tempo estimate
+  const THRESHOLD_WINDOW = 1.5;
+  const TEMPO_WINDOW = 8;
+
+  let previous = null;
+  let lastFlux = 0;
+  let lastOnset = -Infinity;
+  let lastBassOnset = -Infinity;
+  let bpm = 0;
+  let nextBeat = 0;
+  let lastBeat = 0;
+  let lastTime = null;
+
+  function spectralFlux(spectrum) {
+    if (!previous || previous.length !== spectrum.length) {
+      previous = new Float32Array(spectrum.length);
+    }
+    const split = Math.floor(spectrum.length / 8); // ~2.7 kHz at 44.1/48 kHz and fftSize 1024
+    let low = 0;
+    let high = 0;
+    for (let i = 0; i < spectrum.length; i++) {
+      const rise = spectrum[i] - previous[i];
+      if (rise > 0) {
+        if (i < split) low += rise;
+        else high += rise;
+      }
+      previous[i] = spectrum[i];
+    }
+    low /= split * 255;
+    high /= (spectrum.length - split) * 255;
+    // Low frequencies carry most beats, so they count double
+    return { low, high, flux: low * 2 + high };
+  }
+
+  // Histogram of the intervals between every pair of recent onsets, folded into
+  // the 60-180 BPM range; the strongest bin is the tempo
+  function estimateTempo() {
+    if (onsetTimes.length < 4) return 0;
+    const votes = new Float32Array(BEAT_MAX_BPM - BEAT_MIN_BPM + 1);
+    for (let i = 0; i < onsetTimes.length; i++) {
+      for (let j = i + 1; j < onsetTimes.length && j < i + 6; j++) {
+        let interval = onsetTimes[j] - onsetTimes[i];
+        if (interval <= 0) continue;
+        let tempo = 60 / interval;
+        while (tempo < BEAT_MIN_BPM) tempo *= 2;
+        while (tempo > BEAT_MAX_BPM) tempo /= 2;
+        // Spread each vote over neighbouring bins so close tempos reinforce each other
+        const center = tempo - BEAT_MIN_BPM;
+        for (let b = Math.max(0, Math.floor(center - 2)); b <= Math.min(votes.length - 1, Math.ceil(center + 2)); b++) {
+          votes[b] += Math.exp(-Math.pow(b - center, 2) / 2) / (j - i);
+        }
+      }
+    }
+    let best = 0;
+    for (let b = 1; b < votes.length; b++) {
+      if (votes[b] > votes[best]) best = b;
+    }
+    return votes[best] > 0 ? best + BEAT_MIN_BPM : 0;
+  }
+
+  function update(spectrum, time) {
+    // A jump back in time (seek, restart) starts the grid over
+    if (lastTime !== null && (time < lastTime || time - lastTime > 1)) reset();
+    lastTime = time;
+
+    const { low, high, flux } = spectralFlux(spectrum);
+
+    // Adaptive threshold: mean plus a multiple of the deviation over the recent window
+    while (fluxHistory.length && time - fluxHistory[0].time > THRESHOLD_WINDOW) fluxHistory.shift();
+    let mean = 0;
+    fluxHistory.forEach(h => { mean += h.flux; });
+    mean = fluxHistory.length ? mean / fluxHistory.length : flux;
+    let deviation = 0;
+    fluxHistory.forEach(h => { deviation += Math.abs(h.flux - mean); });
+    deviation = fluxHistory.length ? deviation / fluxHistory.length : 0;
+    fluxHistory.push({ time, flux });
+
+    const threshold = mean + deviation * 1.5 + 0.005;
+    let onset = null;
+    if (flux > threshold && flux > lastFlux && time - lastOnset > 0.1) {
+      lastOnset = time;
+      onset = { time, strength: Math.min(1, (flux - mean) * 8), low, high };
+      onsetTimes.push(time);
+      if (onset.strength > 0.5 && low > high) lastBassOnset = time;
+    }
+    lastFlux = flux;
+    while (onsetTimes.length && time - onsetTimes[0] > TEMPO_WINDOW) onsetTimes.shift();
+
+    if (onset) {
+      const estimate = estimateTempo();
+      if (estimate) bpm = bpm ? bpm + (estimate - bpm) * 0.2 : estimate;
+    }
+
+    // Beat grid: without a tempo every strong onset is a beat; with one, beats
+    // fall on the grid and bass onsets near a grid line pull it into phase
+    let beat = null;
+    if (!bpm) {
+      if (onset && onset.strength > 0.3) {
+        beat = { time, strength: onset.strength, bpm: 0 };
+        lastBeat = time;
+      }
+    } else {
+      const period = 60 / bpm;
+      // (Re)start the grid from the last strong bass onset so it begins on the beat, not between
+      if (!nextBeat || nextBeat < time - period) {
+        nextBeat = (time - lastBassOnset < period * 2 ? lastBassOnset : time) + period;
+        while (nextBeat < time) nextBeat += period;
+      }
+      if (onset && low > high) {
+        const error = time - nextBeat;
+        const nearest = Math.abs(error) < Math.abs(error + period) ? error : error + period;
+        if (Math.abs(nearest) < period * 0.25) nextBeat += nearest * 0.3;
+      }
+      if (time >= nextBeat) {
+        beat = { time, strength: onset ? onset.strength : 0.5, bpm };
+        lastBeat = nextBeat;
+        nextBeat += period;
+      }
+    }
+    if (beat) listeners.forEach(listener => listener(beat));
+
+    const period = bpm ? 60 / bpm : 0.5;
+    const beatPhase = Math.min(1, Math.max(0, (time - lastBeat) / period));
+
+    return { onset, beat, beatPhase, bpm: Math.round(bpm), flux };
+  }
+
+  function reset() {
+    fluxHistory.length = 0;
+    onsetTimes.length = 0;
+    previous = null;
+    lastFlux = 0;
+    lastOnset = -Infinity;
+    lastBassOnset = -Infinity;
+    bpm = 0;
+    nextBeat = 0;
+    lastBeat = 0;
+    lastTime = null;
+  }
+
+  // listener(beat) for every beat, outside the render path
+  function onBeat(listener) {
+    listeners.push(listener);
+  }
+
+  return {
+    update,
+    reset,
+    onBeat
+  };
+}
+
+// Everything needed to analyse one analyser per frame. settings is shared and
+// may be edited; call configure() afterwards to apply it.
+function createAnalysisSource(analyser, settings) {
+  const source = {
+    analyser,
+    settings,
+    dataArray: null,
+    waveArray: null,
+    bands: null,
+    beats: createBeatTracker(),
+    configure,
+    read
+  };
+
+  function configure() {
+    if (analyser.fftSize !== settings.fftSize) analyser.fftSize = settings.fftSize;
+    source.dataArray = new Uint8Array(analyser.frequencyBinCount);
+    source.waveArray = new Uint8Array(analyser.fftSize);
+    source.bands = createBandAnalyser(settings, analyser.frequencyBinCount, analyser.context.sampleRate);
+  }
+
+  // Fill the spectrum and waveform and update the bands for this frame
+  function read(time) {
+    if (source.dataArray.length !== analyser.frequencyBinCount) configure();
+    analyser.getByteFrequencyData(source.dataArray);
+    analyser.getByteTimeDomainData(source.waveArray);
+    source.bands.update(source.dataArray, time);
+  }
+
+  configure();
+  return source;
+}
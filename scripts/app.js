@@ -3,61 +3,137 @@
 document.addEventListener("DOMContentLoaded", () => {
   // ----- DOM elements -----
   const audioInput = document.getElementById("audioFile");
+  const queueList = document.getElementById("queueList");
+  const queueEmpty = document.getElementById("queueEmpty");
+  const prevBtn = document.getElementById("prevBtn");
+  const nextBtn = document.getElementById("nextBtn");
+  const shuffleBtn = document.getElementById("shuffleBtn");
+  const repeatBtn = document.getElementById("repeatBtn");
+  const crossfadeInput = document.getElementById("crossfade");
+  const crossfadeValue = document.getElementById("crossfadeValue");
+  const sourceModeSelect = document.getElementById("sourceMode");
+  const liveOptions = document.getElementById("liveOptions");
+  const liveDeviceSelect = document.getElementById("liveDevice");
+  const liveGainInput = document.getElementById("liveGain");
+  const liveGainValue = document.getElementById("liveGainValue");
+  const progressContainer = document.getElementById("progressContainer");
   const canvas = document.getElementById("visualizer");
   const startBtn = document.getElementById("startBtn");
   const stopBtn = document.getElementById("stopBtn");
   const downloadBtn = document.getElementById("downloadBtn");
+  const snapshotBtn = document.getElementById("snapshotBtn");
+  const recordBtn = document.getElementById("recordBtn");
+  const recordTrackBtn = document.getElementById("recordTrackBtn");
+  const recordStatus = document.getElementById("recordStatus");
   const progressBar = document.getElementById("progressBar");
   const timeDisplay = document.getElementById("timeDisplay");
   const fileLabel = document.getElementById("fileLabel");
+  const videoModeContainer = document.getElementById("videoModeContainer");
+  const videoModeSelect = document.getElementById("videoMode");
+  const renderBtn = document.getElementById("renderBtn");
+  const renderFps = document.getElementById("renderFps");
+  const renderSize = document.getElementById("renderSize");
+  const renderFormat = document.getElementById("renderFormat");
+  const renderProgress = document.getElementById("renderProgress");
+  const renderStatus = document.getElementById("renderStatus");
+  const bandCountSelect = document.getElementById("bandCount");
+  const bandScaleSelect = document.getElementById("bandScale");
+  const fftSizeSelect = document.getElementById("fftSize");
+  const bandAttackInput = document.getElementById("bandAttack");
+  const bandAttackValue = document.getElementById("bandAttackValue");
+  const bandReleaseInput = document.getElementById("bandRelease");
+  const bandReleaseValue = document.getElementById("bandReleaseValue");
+  const autoGainInput = document.getElementById("autoGain");
+  const flashLimiterInput = document.getElementById("flashLimiter");
+  const safetyIndicator = document.getElementById("safetyIndicator");
 
   if (!canvas) {
     console.error("Canvas element #visualizer not found.");
     return;
   }
 
-  const ctx2d = canvas.getContext("2d");
+  // Draws the visualizer, in a worker when the browser allows (display.js)
+  const display = createDisplay(canvas);
 
   // ----- Audio / Analyser state -----
-  let audio = null;
+  let audio = null; // media element feeding the analyser: an <audio> or, for video files, a <video>
   let audioCtx = null;
-  let sourceNode = null;
   let analyser = null;
-  let dataArray = null;
-  let bufferLength = 0;
+  let analysis = null;   // per-frame analysis of the shared analyser (analysis.js)
+  let analysisSettings = Object.assign({}, DEFAULT_ANALYSIS_SETTINGS);
   let isAudioPlaying = false;
+  let masterGain = null; // file playback bus: to the speakers and the analyser
+  let currentFile = null;
+  let isVideoSource = false;
+
+  // ----- Playlist state -----
+  let queue = [];               // { file, name, style }
+  let deck = null;              // deck playing the current entry
+  let fadingDeck = null;        // previous deck while it fades out
+  let playHistory = [];
+  let playedEntries = new Set(); // for shuffle without repeats
+  let shuffle = false;
+  let repeatMode = "off";       // "off" | "all" | "one"
+  let crossfadeSeconds = 3;
+
+  // ----- Live input state -----
+  let sourceMode = "file";      // "file" | "live"
+  let liveStream = null;
+  let liveSource = null;
+  let liveGain = null;
+  let liveStartTime = 0;
+  let liveRequest = 0;          // bumped on every start/stop, so a late getUserMedia can tell it is stale
 
   // ----- Canvas / drawing state -----
   let animationId = null;
   let currentStyle = "florr"; // default to Florr
-  let auroraGL = null;
-  let getBands = null;
-  
-  // Style-specific state variables
-  let particles = [];
-  let lastTime = 0;
-  let hueRotation = 0;
+  const styleParams = {};       // style id -> param values, kept across style switches
+  let transitionType = "crossfade"; // how a change of style blends (renderer.js)
+  let transitionSeconds = 1.5;  // 0 = hard cut
+  const styleLayers = [];       // layers over the current style, bottom first (layers.js)
+  let baseBands = "all";        // part of the spectrum the current style follows
+  let paramsLayer = null;       // layer the params panel edits; null = the current style
 
   // ----- Recording state -----
   let mediaRecorder = null;
   let recordingChunks = [];
   let lastRecordingBlob = null;
+  let recordDest = null;        // audio tap fed from the analyser
+  let recordSource = null;      // node recordDest is connected to
+  let recordStartTime = 0;
+  let recordWholeTrack = false; // auto-download once the track ends
+  let recordTrackElement = null; // media element of the track being recorded
+  let recordTimer = null;
+
+  // ----- Offline render state -----
+  let offlineRender = null;     // { cancelled, video, compositor } while a render is running
+
+  // ----- Guided session state -----
+  let session = null;           // running session (session.js)
+  let sessionLastTime = null;   // time of the last session update
+  let sessionDoneAt = null;     // when the session finished, to hold the closing message
 
   // ----- Utilities -----
+  // Match the backing store to the displayed size; drawing happens in CSS pixels
   function dprSizeCanvas() {
     const dpr = window.devicePixelRatio || 1;
     const cssWidth = canvas.clientWidth || Math.min(window.innerWidth * 0.95, 1000);
     const cssHeight = canvas.clientHeight || 500;
-    canvas.width = Math.round(cssWidth * dpr);
-    canvas.height = Math.round(cssHeight * dpr);
-    if (ctx2d) ctx2d.setTransform(dpr, 0, 0, dpr, 0, 0);
+    display.resize(Math.round(cssWidth * dpr), Math.round(cssHeight * dpr), dpr);
   }
 
   function clearCanvas() {
-    if (ctx2d) {
-      ctx2d.fillStyle = "#000015";
-      ctx2d.fillRect(0, 0, canvas.width, canvas.height);
-    }
+    display.clear("#000015");
+  }
+
+  function isVideoFile(file) {
+    return /^video\//.test(file.type) || /\.(mp4|m4v|mov|avi|mkv|webm)$/i.test(file.name);
+  }
+
+  // Video element whose frames are drawn under the active style, if any
+  function backdropVideo() {
+    if (sourceMode === "live" || !isVideoSource || videoModeSelect.value !== "background") return null;
+    return audio;
   }
 
   function formatTime(seconds) {
@@ -68,7 +144,7 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   function updateProgress() {
-    if (!audio || isNaN(audio.duration)) return;
+    if (sourceMode === "live" || !audio || isNaN(audio.duration)) return;
     
     const percent = (audio.currentTime / audio.duration) * 100;
     progressBar.style.width = percent + '%';
@@ -77,32 +153,9 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   // ----- Audio setup -----
-  function setupAudioFromFile(file) {
-    if (audio) {
-      try { audio.pause(); } catch {}
-      if (sourceNode && audioCtx) {
-        try { sourceNode.disconnect(); } catch {}
-      }
-      audio = null;
-      isAudioPlaying = false;
-    }
-
-    audio = new Audio(URL.createObjectURL(file));
-    audio.crossOrigin = "anonymous";
-    audio.loop = false;
-
-    // Update file label
-    if (fileLabel && file) {
-      fileLabel.textContent = file.name;
-    }
-
-    // Set up progress tracking
-    audio.addEventListener('timeupdate', updateProgress);
-    audio.addEventListener('loadedmetadata', () => {
-      progressBar.style.width = '0%';
-      timeDisplay.textContent = `0:00 / ${formatTime(audio.duration)}`;
-    });
-
+  // Create the context and the shared analyser that every source feeds into.
+  // Only file playback reaches the speakers; live input goes to the analyser alone.
+  function ensureAudioGraph() {
     if (!audioCtx) {
       audioCtx = new (window.AudioContext || window.webkitAudioContext)();
     }
@@ -110,987 +163,555 @@ document.addEventListener("DOMContentLoaded", () => {
       audioCtx.resume().catch(() => {});
     }
 
-    sourceNode = audioCtx.createMediaElementSource(audio);
-    analyser = audioCtx.createAnalyser();
-    analyser.fftSize = 1024;
-    bufferLength = analyser.frequencyBinCount;
-    dataArray = new Uint8Array(bufferLength);
+    if (!analyser) {
+      analyser = audioCtx.createAnalyser();
+      analysis = createAnalysisSource(analyser, analysisSettings);
 
-    sourceNode.connect(analyser);
-    analyser.connect(audioCtx.destination);
+      masterGain = audioCtx.createGain();
+      masterGain.connect(audioCtx.destination);
+      masterGain.connect(analyser);
+    }
+  }
 
-    getBands = createBandEnergiesGetter(analyser, dataArray);
+  // A deck is one queue entry loaded into a media element with its own gain,
+  // so two of them can overlap during a crossfade.
+  // Audio and video files share this path; a video's soundtrack drives the analyser
+  function createDeck(entry) {
+    ensureAudioGraph();
+
+    const isVideo = isVideoFile(entry.file);
+    const url = URL.createObjectURL(entry.file);
+    let el;
+    if (isVideo) {
+      el = document.createElement("video");
+      el.playsInline = true;
+      el.src = url;
+    } else {
+      el = new Audio(url);
+    }
+    el.crossOrigin = "anonymous";
+    el.loop = false;
+
+    const d = {
+      entry,
+      el,
+      isVideo,
+      url,
+      source: audioCtx.createMediaElementSource(el),
+      gain: audioCtx.createGain(),
+      advancing: false
+    };
+    d.source.connect(d.gain);
+    d.gain.connect(masterGain);
 
-    audio.addEventListener("ended", () => {
-      isAudioPlaying = false;
-      stopBtn.click();
+    // Set up progress tracking
+    el.addEventListener("timeupdate", () => {
+      if (d !== deck) return;
+      updateProgress();
+      maybeStartCrossfade();
     });
-    
-    // Auto-start visualization when file is selected
-    startBtn.click();
-  }
+    el.addEventListener("loadedmetadata", () => {
+      if (d !== deck) return;
+      progressBar.style.width = "0%";
+      timeDisplay.textContent = `0:00 / ${formatTime(el.duration)}`;
+    });
+    el.addEventListener("error", () => {
+      if (d !== deck) return;
+      fileLabel.textContent = `${entry.name} (format not supported by this browser)`;
+    });
+    el.addEventListener("ended", () => onDeckEnded(d));
 
-  // ----- Visualization styles -----
-  
-  // 1. Florr (Flower) style
-  function renderFlorr() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Create a flower-like visualization
-    const centerX = cw / 2;
-    const centerY = ch / 2;
-    const maxRadius = Math.min(cw, ch) * 0.4;
-    
-    ctx2d.lineWidth = 2;
-    
-    // Draw petals based on frequency data
-    const petalCount = 12;
-    for (let i = 0; i < petalCount; i++) {
-      const angle = (i * 2 * Math.PI) / petalCount;
-      const freqIndex = Math.floor(i * bufferLength / petalCount);
-      const v = dataArray[freqIndex] / 255;
-      
-      const petalLength = maxRadius * (0.5 + v * 0.5);
-      const petalWidth = maxRadius * 0.1 * (0.7 + v * 0.3);
-      
-      const x1 = centerX + Math.cos(angle) * (maxRadius * 0.2);
-      const y1 = centerY + Math.sin(angle) * (maxRadius * 0.2);
-      const x2 = centerX + Math.cos(angle) * petalLength;
-      const y2 = centerY + Math.sin(angle) * petalLength;
-      
-      // Draw petal
-      ctx2d.beginPath();
-      ctx2d.moveTo(x1, y1);
-      ctx2d.quadraticCurveTo(
-        centerX + Math.cos(angle) * (petalLength * 0.5) + Math.cos(angle + Math.PI/2) * petalWidth,
-        centerY + Math.sin(angle) * (petalLength * 0.5) + Math.sin(angle + Math.PI/2) * petalWidth,
-        x2, y2
-      );
-      ctx2d.quadraticCurveTo(
-        centerX + Math.cos(angle) * (petalLength * 0.5) + Math.cos(angle - Math.PI/2) * petalWidth,
-        centerY + Math.sin(angle) * (petalLength * 0.5) + Math.sin(angle - Math.PI/2) * petalWidth,
-        x1, y1
-      );
-      
-      const hue = (i / petalCount) * 360;
-      ctx2d.fillStyle = `hsla(${hue}, 80%, 60%, ${0.6 + v * 0.4})`;
-      ctx2d.fill();
-      
-      // Draw center circle
-      ctx2d.beginPath();
-      ctx2d.arc(centerX, centerY, maxRadius * 0.15, 0, Math.PI * 2);
-      ctx2d.fillStyle = `hsla(60, 80%, 60%, ${0.8})`;
-      ctx2d.fill();
-    }
+    return d;
   }
 
-  // 2. Aurora style (WebGL)
-  // In your app.js, replace the renderAurora function with this:
-function renderAurora() {
-  // Create a WebGL canvas if it doesn't exist
-  let glCanvas = document.getElementById("webgl-canvas");
-  if (!glCanvas) {
-    glCanvas = document.createElement("canvas");
-    glCanvas.id = "webgl-canvas";
-    glCanvas.style.position = "absolute";
-    glCanvas.style.top = canvas.offsetTop + "px";
-    glCanvas.style.left = canvas.offsetLeft + "px";
-    glCanvas.style.zIndex = "1";
-    glCanvas.width = canvas.width;
-    glCanvas.height = canvas.height;
-    document.querySelector("main").appendChild(glCanvas);
-  }
-  
-  // Position and size the WebGL canvas to match the 2D canvas
-  const rect = canvas.getBoundingClientRect();
-  glCanvas.style.width = canvas.style.width;
-  glCanvas.style.height = canvas.style.height;
-  glCanvas.width = canvas.width;
-  glCanvas.height = canvas.height;
-  
-  // Initialize WebGL for Aurora if needed
-  if (!auroraGL && getBands) {
-    auroraGL = initAuroraGL(glCanvas, getBands, {});
+  function retireDeck(d) {
+    if (!d) return;
+    try { d.el.pause(); } catch {}
+    try { d.source.disconnect(); } catch {}
+    try { d.gain.disconnect(); } catch {}
+    URL.revokeObjectURL(d.url);
+    if (fadingDeck === d) fadingDeck = null;
   }
-  
-  // Render the Aurora
-  if (auroraGL) {
-    auroraGL();
+
+  function currentIndex() {
+    return deck ? queue.indexOf(deck.entry) : -1;
   }
-  
-  // Hide the WebGL canvas when switching to other styles
-  document.querySelectorAll(".styleBtn").forEach(btn => {
-    btn.addEventListener("click", (e) => {
-      const style = e.target.getAttribute("data-style");
-      if (style !== "aurora" && glCanvas) {
-        glCanvas.style.display = "none";
-      } else if (glCanvas) {
-        glCanvas.style.display = "block";
-      }
-    });
-  });
-}
 
-  // 3. Storm style
-  function renderStorm() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Storm background
-    const gradient = ctx2d.createLinearGradient(0, 0, 0, ch);
-    gradient.addColorStop(0, "#0a0a2a");
-    gradient.addColorStop(1, "#1a1a40");
-    ctx2d.fillStyle = gradient;
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Lightning effect based on audio energy
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    if (energy > 0.7 && Math.random() < 0.1) {
-      ctx2d.strokeStyle = "rgba(255, 255, 255, 0.7)";
-      ctx2d.lineWidth = 2 + Math.random() * 3;
-      ctx2d.beginPath();
-      const startX = Math.random() * cw;
-      ctx2d.moveTo(startX, 0);
-      
-      for (let y = 10; y < ch; y += 10 + Math.random() * 20) {
-        const xVar = 20 + Math.random() * 30;
-        ctx2d.lineTo(startX - xVar + Math.random() * xVar * 2, y);
-      }
-      ctx2d.stroke();
-    }
-    
-    // Rain drops
-    ctx2d.strokeStyle = "rgba(150, 150, 255, 0.6)";
-    for (let i = 0; i < 100; i++) {
-      const x = (i * 13) % cw;
-      const speed = 5 + (i % 5);
-      const y = ((Date.now() / 20) * speed) % ch;
-      ctx2d.beginPath();
-      ctx2d.moveTo(x, y);
-      ctx2d.lineTo(x - 1, y + 8);
-      ctx2d.stroke();
-    }
-    
-    // Storm intensity visualization
-    const stormIntensity = energy * 0.8;
-    for (let i = 0; i < 30; i++) {
-      const freqIndex = Math.floor(i * bufferLength / 30);
-      const v = dataArray[freqIndex] / 255;
-      
-      const x = Math.random() * cw;
-      const y = Math.random() * ch;
-      const radius = 1 + v * 10 * stormIntensity;
-      
-      ctx2d.beginPath();
-      ctx2d.arc(x, y, radius, 0, Math.PI * 2);
-      ctx2d.fillStyle = `rgba(100, 100, 255, ${0.2 + v * 0.5})`;
-      ctx2d.fill();
+  // Load a queue entry, optionally crossfading from the deck that is playing now
+  function loadTrack(index, crossfade) {
+    const entry = queue[index];
+    if (!entry) return;
+
+    // Picking a track leaves live input mode
+    if (sourceMode === "live") {
+      sourceModeSelect.value = "file";
+      setSourceMode("file");
     }
-  }
 
-  // 4. StarryNight style
-  function renderStarryNight() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Dark blue background for space
-    ctx2d.fillStyle = "#000020";
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Create stars if needed
-    if (particles.length === 0 || particles.length < 200) {
-      particles = [];
-      for (let i = 0; i < 200; i++) {
-        particles.push({
-          x: Math.random() * cw,
-          y: Math.random() * ch,
-          size: Math.random() * 2 + 0.5,
-          speed: Math.random() * 0.5 + 0.1,
-          brightness: Math.random() * 0.5 + 0.5
-        });
-      }
+    const previous = deck;
+    deck = createDeck(entry);
+    audio = deck.el;
+    isVideoSource = deck.isVideo;
+    currentFile = entry.file;
+    playHistory.push(entry);
+    playedEntries.add(entry);
+
+    // Update file label
+    fileLabel.textContent = entry.name;
+    if (videoModeContainer) {
+      videoModeContainer.hidden = !isVideoSource;
     }
-    
-    // Draw and update stars
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    
-    particles.forEach(star => {
-      // Twinkle effect based on audio
-      const twinkle = 0.7 + Math.sin(Date.now() / 1000 + star.x * 0.1) * 0.3 * energy;
-      
-      ctx2d.beginPath();
-      ctx2d.arc(star.x, star.y, star.size * (0.8 + energy * 0.5), 0, Math.PI * 2);
-      ctx2d.fillStyle = `rgba(255, 255, 255, ${star.brightness * twinkle * 0.8})`;
-      ctx2d.fill();
-      
-      // Move stars slowly
-      star.y += star.speed * (1 + energy * 0.5);
-      if (star.y > ch) {
-        star.y = 0;
-        star.x = Math.random() * cw;
+    progressBar.style.width = "0%";
+
+    setStyle(entry.style);
+    noteJournalListening();
+
+    if (previous) {
+      if (crossfade && crossfadeSeconds > 0 && isAudioPlaying) {
+        const t = audioCtx.currentTime;
+        retireDeck(fadingDeck);
+        fadingDeck = previous;
+        previous.gain.gain.setValueAtTime(previous.gain.gain.value, t);
+        previous.gain.gain.linearRampToValueAtTime(0, t + crossfadeSeconds);
+        deck.gain.gain.setValueAtTime(0, t);
+        deck.gain.gain.linearRampToValueAtTime(1, t + crossfadeSeconds);
+        setTimeout(() => {
+          if (fadingDeck === previous) retireDeck(previous);
+        }, crossfadeSeconds * 1000 + 100);
+      } else {
+        retireDeck(previous);
       }
-    });
-    
-    // Shooting stars occasionally
-    if (Math.random() < 0.01 * energy) {
-      const startX = Math.random() * cw;
-      const length = 50 + Math.random() * 100;
-      
-      ctx2d.strokeStyle = "rgba(255, 255, 255, 0.8)";
-      ctx2d.lineWidth = 2;
-      ctx2d.beginPath();
-      ctx2d.moveTo(startX, 0);
-      ctx2d.lineTo(startX - length / 4, length);
-      ctx2d.stroke();
-    }
-    
-    // Add some larger "special" stars that pulse with the beat
-    for (let i = 0; i < 5; i++) {
-      const freqIndex = Math.floor(i * bufferLength / 5);
-      const v = dataArray[freqIndex] / 255;
-      
-      const x = (i + 1) * cw / 6;
-      const y = ch / 2;
-      const size = 3 + v * 10;
-      
-      ctx2d.beginPath();
-      ctx2d.arc(x, y, size, 0, Math.PI * 2);
-      
-      // Create gradient for special stars
-      const gradient = ctx2d.createRadialGradient(x, y, 0, x, y, size);
-      gradient.addColorStop(0, `hsl(${i * 72}, 100%, 90%)`);
-      gradient.addColorStop(1, `hsl(${i * 72}, 100%, 50%, 0.3)`);
-      
-      ctx2d.fillStyle = gradient;
-      ctx2d.fill();
     }
+
+    renderQueue();
+
+    // Auto-start visualization when a track is loaded
+    startBtn.click();
   }
 
-  // 5. Mask style (previously Hacker)
-  function renderMask() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Dark background
-    ctx2d.fillStyle = "#001100";
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Matrix-like code rain
-    const chars = "01ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$%#@!*&";
-    const fontSize = 14;
-    ctx2d.font = `${fontSize}px monospace`;
-    
-    // Calculate columns based on font size
-    const cols = Math.floor(cw / fontSize);
-    
-    // Draw falling characters
-    for (let i = 0; i < cols; i++) {
-      const freqIndex = Math.floor(i * bufferLength / cols);
-      const v = dataArray[freqIndex] / 255;
-      
-      // Vary the number of characters in this column based on frequency
-      const charCount = Math.floor(5 + v * 15);
-      
-      for (let j = 0; j < charCount; j++) {
-        const yPos = ((Date.now() / 30) + j * fontSize) % (ch + fontSize * 5);
-        const char = chars[Math.floor(Math.random() * chars.length)];
-        
-        // Fade out as they fall
-        const alpha = 1 - (yPos / ch);
-        
-        // Highlight the first character in each column
-        if (j === 0) {
-          ctx2d.fillStyle = `rgba(0, 255, 0, ${alpha})`;
-        } else {
-          ctx2d.fillStyle = `rgba(0, 200, 0, ${alpha * 0.7})`;
-        }
-        
-        ctx2d.fillText(char, i * fontSize, yPos);
-      }
-    }
-    
-    // Pulse effect based on overall volume
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    if (energy > 0.5) {
-      ctx2d.strokeStyle = `rgba(0, 255, 0, ${0.2 + energy * 0.3})`;
-      ctx2d.lineWidth = 2;
-      ctx2d.beginPath();
-      ctx2d.arc(cw/2, ch/2, 50 + energy * 100, 0, Math.PI * 2);
-      ctx2d.stroke();
-    }
+  // Start the next track early so the two overlap for the crossfade length
+  function maybeStartCrossfade() {
+    if (!deck || deck.advancing || crossfadeSeconds <= 0 || !isAudioPlaying) return;
+    if (isNaN(audio.duration) || audio.duration - audio.currentTime > crossfadeSeconds) return;
+    // Not worth fading within tracks shorter than the fade itself
+    if (audio.duration < crossfadeSeconds * 2) return;
+
+    const next = pickNextIndex(true);
+    if (next === -1) return;
+    deck.advancing = true;
+    loadTrack(next, true);
   }
 
-  // 6. Galaxy style
-  function renderGalaxy() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Space background
-    ctx2d.fillStyle = "#000010";
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Create galaxy center
-    const centerX = cw / 2;
-    const centerY = ch / 2;
-    
-    // Draw spiral arms
-    const armCount = 4;
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    
-    for (let arm = 0; arm < armCount; arm++) {
-      const angleOffset = (arm * 2 * Math.PI) / armCount;
-      
-      for (let i = 0; i < 200; i++) {
-        const distance = 10 + i * 2;
-        const angle = angleOffset + (i * 0.05) + (Date.now() / 5000) * (0.5 + energy * 0.5);
-        
-        const x = centerX + Math.cos(angle) * distance;
-        const y = centerY + Math.sin(angle) * distance;
-        
-        const size = 1 + (i % 3);
-        const alpha = 0.2 + (i / 200) * 0.8;
-        
-        ctx2d.beginPath();
-        ctx2d.arc(x, y, size, 0, Math.PI * 2);
-        
-        // Vary star colors slightly
-        const hue = 240 + Math.sin(angle) * 30;
-        ctx2d.fillStyle = `hsla(${hue}, 70%, 80%, ${alpha})`;
-        ctx2d.fill();
-      }
+  function onDeckEnded(d) {
+    if (recordWholeTrack && recordTrackElement === d.el) {
+      stopRecording();
     }
-    
-    // Add central bulge with pulse effect
-    const pulse = 0.8 + Math.sin(Date.now() / 500) * 0.2 * energy;
-    const gradient = ctx2d.createRadialGradient(centerX, centerY, 0, centerX, centerY, 80 * pulse);
-    gradient.addColorStop(0, "rgba(255, 255, 200, 0.8)");
-    gradient.addColorStop(1, "rgba(200, 200, 100, 0)");
-    
-    ctx2d.beginPath();
-    ctx2d.arc(centerX, centerY, 80 * pulse, 0, Math.PI * 2);
-    ctx2d.fillStyle = gradient;
-    ctx2d.fill();
-    
-    // Add some random stars in the background
-    for (let i = 0; i < 100; i++) {
-      const x = Math.random() * cw;
-      const y = Math.random() * ch;
-      const size = Math.random() * 1.5;
-      const distFromCenter = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
-      
-      // Fade stars near the center
-      const alpha = Math.min(1, distFromCenter / 100) * 0.8;
-      
-      ctx2d.beginPath();
-      ctx2d.arc(x, y, size, 0, Math.PI * 2);
-      ctx2d.fillStyle = `rgba(255, 255, 255, ${alpha})`;
-      ctx2d.fill();
+    if (d !== deck) return;
+
+    const next = pickNextIndex(true);
+    if (next === -1) {
+      isAudioPlaying = false;
+      endJournalVisit();
+      stopBtn.click();
+      return;
     }
+    loadTrack(next, false);
   }
 
-  // 7. Quantum style
-  function renderQuantum() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Dark background
-    ctx2d.fillStyle = "#000015";
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Draw quantum particles
-    const particleCount = 50;
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    
-    // Initialize particles if needed
-    if (particles.length === 0) {
-      particles = [];
-      for (let i = 0; i < particleCount; i++) {
-        particles.push({
-          x: Math.random() * cw,
-          y: Math.random() * ch,
-          vx: (Math.random() - 0.5) * 2,
-          vy: (Math.random() - 0.5) * 2,
-          size: Math.random() * 4 + 1,
-          connections: []
-        });
-      }
-    }
-    
-    // Update and draw particles
-    particles.forEach((p, i) => {
-      // Move particles
-      p.x += p.vx * (0.5 + energy * 0.5);
-      p.y += p.vy * (0.5 + energy * 0.5);
-      
-      // Bounce off walls
-      if (p.x < 0 || p.x > cw) p.vx *= -1;
-      if (p.y < 0 || p.y > ch) p.vy *= -1;
-      
-      // Draw particle
-      ctx2d.beginPath();
-      ctx2d.arc(p.x, p.y, p.size, 0, Math.PI * 2);
-      ctx2d.fillStyle = `hsl(${i * 10 + hueRotation}, 100%, 60%)`;
-      ctx2d.fill();
-      
-      // Draw connections to nearby particles
-      p.connections = [];
-      particles.forEach((other, j) => {
-        if (i !== j) {
-          const dx = p.x - other.x;
-          const dy = p.y - other.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          
-          if (dist < 100) {
-            p.connections.push({ target: j, strength: 1 - dist / 100 });
-            
-            ctx2d.beginPath();
-            ctx2d.moveTo(p.x, p.y);
-            ctx2d.lineTo(other.x, other.y);
-            ctx2d.strokeStyle = `hsla(${i * 10 + hueRotation}, 100%, 50%, ${0.2 * (1 - dist / 100)})`;
-            ctx2d.lineWidth = 1;
-            ctx2d.stroke();
-          }
-        }
-      });
-    });
-    
-    // Rotate hues over time
-    hueRotation = (hueRotation + 1) % 360;
-    
-    // Add wave interference patterns
-    const time = Date.now() / 1000;
-    for (let i = 0; i < 5; i++) {
-      const freqIndex = Math.floor(i * bufferLength / 5);
-      const v = dataArray[freqIndex] / 255;
-      
-      ctx2d.beginPath();
-      for (let x = 0; x < cw; x += 10) {
-        const y = ch/2 + Math.sin(x * 0.02 + time * (1 + i)) * 30 * v;
-        if (x === 0) ctx2d.moveTo(x, y);
-        else ctx2d.lineTo(x, y);
+  // auto: true when the current track finished on its own (repeat-one applies)
+  function pickNextIndex(auto) {
+    if (!queue.length) return -1;
+    const index = currentIndex();
+    if (auto && repeatMode === "one" && index !== -1) return index;
+
+    if (shuffle) {
+      let candidates = queue.filter(entry => !playedEntries.has(entry));
+      if (!candidates.length) {
+        if (repeatMode !== "all") return -1;
+        playedEntries.clear();
+        candidates = queue.filter((entry, i) => i !== index || queue.length === 1);
       }
-      ctx2d.strokeStyle = `hsla(${180 + i * 36}, 100%, 60%, ${0.3 + v * 0.4})`;
-      ctx2d.lineWidth = 2;
-      ctx2d.stroke();
+      return queue.indexOf(candidates[Math.floor(Math.random() * candidates.length)]);
     }
+
+    if (index + 1 < queue.length) return index + 1;
+    return repeatMode === "all" ? 0 : -1;
   }
 
-  // 8. Aqua style
-  function renderAqua() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    // Ocean gradient background
-    const gradient = ctx2d.createLinearGradient(0, 0, 0, ch);
-    gradient.addColorStop(0, "#004466");
-    gradient.addColorStop(1, "#001122");
-    ctx2d.fillStyle = gradient;
-    ctx2d.fillRect(0, 0, cw, ch);
-    
-    // Draw water waves
-    const time = Date.now() / 1000;
-    const energy = dataArray.reduce((sum, val) => sum + val, 0) / (bufferLength * 255);
-    
-    // Surface waves
-    ctx2d.beginPath();
-    for (let x = 0; x <= cw; x += 5) {
-      const y = ch * 0.3 + Math.sin(x * 0.02 + time) * 10 * energy;
-      if (x === 0) ctx2d.moveTo(x, y);
-      else ctx2d.lineTo(x, y);
-    }
-    ctx2d.lineTo(cw, ch);
-    ctx2d.lineTo(0, ch);
-    ctx2d.closePath();
-    ctx2d.fillStyle = "rgba(0, 100, 200, 0.4)";
-    ctx2d.fill();
-    
-    // Bubbles
-    for (let i = 0; i < 30; i++) {
-      const freqIndex = Math.floor(i * bufferLength / 30);
-      const v = dataArray[freqIndex] / 255;
-      
-      const x = (i * 40) % cw;
-      const y = ch - ((Date.now() / 50 + i * 20) % (ch * 0.7));
-      const size = 2 + v * 8;
-      
-      ctx2d.beginPath();
-      ctx2d.arc(x, y, size, 0, Math.PI * 2);
-      ctx2d.fillStyle = `rgba(255, 255, 255, ${0.2 + v * 0.5})`;
-      ctx2d.fill();
-      
-      // Add highlight to bubbles
-      ctx2d.beginPath();
-      ctx2d.arc(x - size/3, y - size/3, size/4, 0, Math.PI * 2);
-      ctx2d.fillStyle = "rgba(255, 255, 255, 0.8)";
-      ctx2d.fill();
-    }
-    
-    // Light rays from surface
-    for (let i = 0; i < 5; i++) {
-      const x = (i + 1) * cw / 6;
-      const angle = -Math.PI/4 + (Math.random() - 0.5) * 0.2;
-      const length = 100 + Math.random() * 100;
-      
-      ctx2d.beginPath();
-      ctx2d.moveTo(x, ch * 0.3);
-      ctx2d.lineTo(
-        x + Math.cos(angle) * length,
-        ch * 0.3 + Math.sin(angle) * length
-      );
-      ctx2d.strokeStyle = "rgba(255, 255, 255, 0.1)";
-      ctx2d.lineWidth = 2;
-      ctx2d.stroke();
-    }
-    
-    // Fish or other sea creatures
-    for (let i = 0; i < 3; i++) {
-      const freqIndex = Math.floor(i * bufferLength / 3);
-      const v = dataArray[freqIndex] / 255;
-      
-      const x = (Date.now() / 20 + i * 100) % (cw + 50) - 25;
-      const y = ch * 0.5 + Math.sin(x * 0.05) * 30;
-      
-      // Draw simple fish shape
-      ctx2d.fillStyle = `hsl(${30 + i * 60}, 80%, 50%)`;
-      ctx2d.beginPath();
-      ctx2d.ellipse(x, y, 15 + v * 10, 8 + v * 5, 0, 0, Math.PI * 2);
-      ctx2d.fill();
-      
-      // Tail
-      ctx2d.beginPath();
-      ctx2d.moveTo(x - 15, y);
-      ctx2d.lineTo(x - 25, y - 10);
-      ctx2d.lineTo(x - 25, y + 10);
-      ctx2d.closePath();
-      ctx2d.fill();
+  function playNext() {
+    const next = pickNextIndex(false);
+    if (next !== -1) loadTrack(next, true);
+  }
+
+  function playPrevious() {
+    // Restart the current track unless it has only just begun
+    if (audio && audio.currentTime > 3) {
+      audio.currentTime = 0;
+      updateProgress();
+      return;
     }
+
+    playHistory.pop();
+    const previous = playHistory.pop();
+    let index = previous ? queue.indexOf(previous) : -1;
+    if (index === -1) index = Math.max(0, currentIndex() - 1);
+    loadTrack(index, true);
   }
 
-  // 9. Bars style
-  function renderBars() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    const barCount = 64;
-    const barWidth = cw / barCount;
-    
-    for (let i = 0; i < barCount; i++) {
-      const v = dataArray[Math.floor(i * bufferLength / barCount)] / 255;
-      const barHeight = v * ch * 0.8;
-      const hue = 240 - Math.round(v * 160);
-      ctx2d.fillStyle = `hsl(${hue}, 70%, ${40 + v * 30}%)`;
-      const x = i * barWidth;
-      ctx2d.fillRect(x, ch - barHeight, Math.max(barWidth - 1, 1), barHeight);
+  function addFilesToQueue(files) {
+    const media = Array.from(files).filter(file => /^(audio|video)\//.test(file.type) || isVideoFile(file));
+    if (!media.length) return;
+
+    const firstNew = queue.length;
+    media.forEach(file => {
+      queue.push({ file, name: file.name, style: currentStyle });
+    });
+    renderQueue();
+
+    if (!deck) {
+      loadTrack(firstNew, false);
     }
   }
 
-  // 10. Waveform style
-  function renderWaveform() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteTimeDomainData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    
-    ctx2d.lineWidth = 2;
-    ctx2d.strokeStyle = '#0ff';
-    ctx2d.beginPath();
-    
-    const sliceWidth = cw / bufferLength;
-    let x = 0;
-    
-    for (let i = 0; i < bufferLength; i++) {
-      const v = dataArray[i] / 128.0;
-      const y = v * ch / 2;
-      
-      if (i === 0) {
-        ctx2d.moveTo(x, y);
+  function removeFromQueue(index) {
+    const entry = queue[index];
+    const wasCurrent = deck && deck.entry === entry;
+    const next = wasCurrent ? pickNextIndex(false) : -1;
+    const nextEntry = next !== -1 && next !== index ? queue[next] : null;
+
+    queue.splice(index, 1);
+    playedEntries.delete(entry);
+    playHistory = playHistory.filter(e => e !== entry);
+
+    if (wasCurrent) {
+      if (nextEntry) {
+        loadTrack(queue.indexOf(nextEntry), false);
       } else {
-        ctx2d.lineTo(x, y);
+        // The synthetic click doesn't end the visit the way pressing Stop does
+        endJournalVisit();
+        stopBtn.click();
+        retireDeck(deck);
+        deck = null;
+        audio = null;
+        currentFile = null;
+        fileLabel.textContent = "Choose Audio or Video Files";
+        timeDisplay.textContent = "0:00 / 0:00";
+        progressBar.style.width = "0%";
       }
-      
-      x += sliceWidth;
     }
-    
-    ctx2d.stroke();
+    renderQueue();
   }
 
-  // 11. Circle style
-  function renderCircle() {
-    dprSizeCanvas();
-    clearCanvas();
-    
-    analyser.getByteFrequencyData(dataArray);
-    const cw = canvas.width;
-    const ch = canvas.height;
-    const centerX = cw / 2;
-    const centerY = ch / 2;
-    const radius = Math.min(cw, ch) * 0.4;
-    
-    ctx2d.lineWidth = 2;
-    
-    for (let i = 0; i < bufferLength; i++) {
-      const angle = (i * 2 * Math.PI) / bufferLength;
-      const v = dataArray[i] / 255;
-      const barHeight = v * radius * 0.5;
-      
-      const x1 = centerX + Math.cos(angle) * radius;
-      const y1 = centerY + Math.sin(angle) * radius;
-      const x2 = centerX + Math.cos(angle) * (radius + barHeight);
-      const y2 = centerY + Math.sin(angle) * (radius + barHeight);
-      
-      const hue = (i / bufferLength) * 360;
-      ctx2d.strokeStyle = `hsl(${hue}, 80%, 60%)`;
-      
-      ctx2d.beginPath();
-      ctx2d.moveTo(x1, y1);
-      ctx2d.lineTo(x2, y2);
-      ctx2d.stroke();
-    }
+  function moveInQueue(from, to) {
+    if (to < 0 || to >= queue.length || from === to) return;
+    const [entry] = queue.splice(from, 1);
+    queue.splice(to, 0, entry);
+    renderQueue();
   }
 
-  // 12. Manim style (placeholder)
-  function renderManim() {
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Manim style implementation here
-  }
+  function renderQueue() {
+    if (!queueList) return;
+    queueList.innerHTML = "";
+
+    const styleOptions = listStyles().filter(style => !style.hidden);
+
+    queue.forEach((entry, i) => {
+      const li = document.createElement("li");
+      li.className = "queue-item";
+      li.draggable = true;
+      if (deck && deck.entry === entry) li.classList.add("playing");
+
+      const title = document.createElement("span");
+      title.className = "queue-title";
+      title.textContent = entry.name;
+      title.title = "Play this track";
+      title.addEventListener("click", () => loadTrack(i, true));
+
+      const styleSelect = document.createElement("select");
+      styleSelect.title = "Animation style for this track";
+      styleOptions.forEach(opt => {
+        const option = document.createElement("option");
+        option.value = opt.id;
+        option.textContent = opt.label;
+        styleSelect.appendChild(option);
+      });
+      styleSelect.value = entry.style;
+      styleSelect.addEventListener("change", () => {
+        entry.style = styleSelect.value;
+        if (deck && deck.entry === entry) setStyle(entry.style);
+      });
 
-  // 13. Bounce+Neon Pulse style (placeholder)
-  function renderBounce() {
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Bounce+Neon Pulse style implementation here
-  }
+      const up = document.createElement("button");
+      up.textContent = "\u2191";
+      up.title = "Move up";
+      up.addEventListener("click", () => moveInQueue(i, i - 1));
+
+      const down = document.createElement("button");
+      down.textContent = "\u2193";
+      down.title = "Move down";
+      down.addEventListener("click", () => moveInQueue(i, i + 1));
+
+      const remove = document.createElement("button");
+      remove.textContent = "\u00D7";
+      remove.title = "Remove from queue";
+      remove.addEventListener("click", () => removeFromQueue(i));
+
+      // Drag to reorder
+      li.addEventListener("dragstart", (e) => {
+        e.dataTransfer.setData("text/x-queue-index", String(i));
+        e.dataTransfer.effectAllowed = "move";
+      });
+      li.addEventListener("dragover", (e) => {
+        if (e.dataTransfer.types.includes("text/x-queue-index")) {
+          e.preventDefault();
+          li.classList.add("drag-over");
+        }
+      });
+      li.addEventListener("dragleave", () => li.classList.remove("drag-over"));
+      li.addEventListener("drop", (e) => {
+        const from = e.dataTransfer.getData("text/x-queue-index");
+        if (from === "") return;
+        e.preventDefault();
+        e.stopPropagation();
+        moveInQueue(parseInt(from, 10), i);
+      });
 
-  // 14. Waves style (placeholder)
-  function renderWaves() {
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Waves style implementation here
-  }
+      li.append(title, styleSelect, up, down, remove);
+      queueList.appendChild(li);
+    });
 
-  // 15. Metropolis style (placeholder)
-  function renderMetro() {
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Metropolis style implementation here
+    if (queueEmpty) queueEmpty.hidden = queue.length > 0;
   }
 
-  // 16. Firework style (placeholder)
-  function renderFire(){
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Firework style implementation here
+  // ----- Live input -----
+  function liveConstraints() {
+    const audioOptions = {
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false
+    };
+    if (liveDeviceSelect.value) {
+      audioOptions.deviceId = { exact: liveDeviceSelect.value };
+    }
+    return { audio: audioOptions };
   }
 
-  // 17. Rain style (placeholder)
-  function renderRain() {
-    dprSizeCanvas();
-    clearCanvas();
-    // Add your Rain style implementation here
+  async function refreshLiveDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const selected = liveDeviceSelect.value;
+
+    liveDeviceSelect.innerHTML = "";
+    const fallback = document.createElement("option");
+    fallback.value = "";
+    fallback.textContent = "Default input";
+    liveDeviceSelect.appendChild(fallback);
+
+    devices.filter(device => device.kind === "audioinput" && device.deviceId !== "default").forEach((device, i) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      // Labels stay empty until microphone permission is granted
+      option.textContent = device.label || `Input ${i + 1}`;
+      liveDeviceSelect.appendChild(option);
+    });
+    liveDeviceSelect.value = Array.from(liveDeviceSelect.options).some(o => o.value === selected) ? selected : "";
   }
 
-// ----- Aurora GL system -----
-function initAuroraGL(canvas, getBandEnergies, options = {}) {
-  const gl = canvas.getContext("webgl");
-  if (!gl) { 
-    console.error("WebGL not supported"); 
-    return null; 
-  }
+  async function startLiveInput() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      timeDisplay.textContent = "Live input is not supported in this browser";
+      return;
+    }
 
-  const DPR = window.devicePixelRatio || 1;
-  const pixelRatio = options.pixelRatio || DPR;
+    ensureAudioGraph();
+    stopLiveInput();
+    const request = liveRequest;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia(liveConstraints());
+    } catch (e) {
+      if (request !== liveRequest) return;
+      console.error("Error opening live input:", e);
+      timeDisplay.textContent = "Microphone access was denied";
+      return;
+    }
 
-  const vsSource = `
-    attribute vec2 a_pos;
-    varying vec2 v_uv;
-    void main() {
-      v_uv = a_pos * 0.5 + 0.5;
-      gl_Position = vec4(a_pos, 0.0, 1.0);
+    // While the permission prompt was open the user may have pressed Start again,
+    // picked another device, stopped or switched back to files: this stream is stale
+    if (request !== liveRequest || sourceMode !== "live") {
+      stream.getTracks().forEach(track => track.stop());
+      return;
     }
-  `;
-
-  const fsSource = `
-    precision highp float;
-    varying vec2 v_uv;
-    uniform float u_time;
-    uniform vec2 u_resolution;
-    uniform vec4 u_bands; // energies for 4 bands (0..1)
-    uniform float u_speed;
-    uniform float u_saturation;
-    uniform float u_starDensity;
-    uniform float u_starSize;
-    uniform float u_glow; // global glow intensity
-
-    // --------------------------
-    // 2D Simplex / Classic noise
-    // Ashima / IQ style (small, efficient)
-    // --------------------------
-    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-    vec2 mod289(vec2 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
-    vec3 permute(vec3 x) { return mod289(((x*34.0)+1.0)*x); }
-
-    float snoise(vec2 v){
-      const vec4 C = vec4(0.211324865405187,  // (3.0-sqrt(3.0))/6.0
-                          0.366025403784439,  // 0.5*(sqrt(3.0)-1.0)
-                         -0.577350269189626,  // -1.0 + 2.0 * C.x
-                          0.024390243902439); // 1.0/41.0
-      vec2 i = floor(v + dot(v, C.yy) );
-      vec2 x0 = v - i + dot(i, C.xx);
-
-      vec2 i1;
-      i1 = (x0.x > x0.y) ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
-
-      vec4 x12 = x0.xyxy + C.xxzz;
-      x12.xy -= i1;
-
-      i = mod289(i);
-      vec3 p = permute( permute( i.y + vec3(0.0, i1.y, 1.0 ))
-                      + i.x + vec3(0.0, i1.x, 1.0 ));
-
-      vec3 m = max(0.5 - vec3(dot(x0,x0), dot(x12.xy,x12.xy), dot(x12.zw,x12.zw)), 0.0);
-      m = m*m; m = m*m;
-
-      vec3 x = 2.0 * fract(p * C.www) - 1.0;
-      vec3 h = abs(x) - 0.5;
-      vec3 ox = floor(x + 0.5);
-      vec3 a0 = x - ox;
-
-      m *= 1.79284291400159 - 0.85373472095314 * ( a0*a0 + h*h );
-
-      vec3 g;
-      g.x  = a0.x * x0.x + h.x * x0.y;
-      g.yz = a0.yz * x12.xz + h.yz * x12.yw;
-      return 130.0 * dot(m, g);
+    liveStream = stream;
+
+    liveSource = audioCtx.createMediaStreamSource(liveStream);
+    liveGain = audioCtx.createGain();
+    liveGain.gain.value = parseFloat(liveGainInput.value);
+    // Deliberately not routed to audioCtx.destination, which would feed back
+    liveSource.connect(liveGain);
+    liveGain.connect(analyser);
+
+    liveStartTime = performance.now();
+    isAudioPlaying = true;
+    refreshLiveDevices().catch(() => {});
+
+    if (!animationId) {
+      animate();
     }
+  }
 
-    // hash for star pattern
-    float hash21(vec2 p) {
-      p = fract(p * vec2(123.34, 345.45));
-      p += dot(p, p + 34.345);
-      return fract(p.x * p.y);
+  // Also makes any getUserMedia call still waiting on the permission prompt stale
+  function stopLiveInput() {
+    liveRequest++;
+    if (liveSource) {
+      try { liveSource.disconnect(); } catch {}
+      liveSource = null;
+    }
+    if (liveGain) {
+      try { liveGain.disconnect(); } catch {}
+      liveGain = null;
     }
+    if (liveStream) {
+      liveStream.getTracks().forEach(track => track.stop());
+      liveStream = null;
+    }
+  }
+
+  // Live input has no duration, so the time display counts up instead
+  function updateLiveTime() {
+    const elapsed = liveStream ? (performance.now() - liveStartTime) / 1000 : 0;
+    timeDisplay.textContent = `LIVE ${formatTime(elapsed)}`;
+  }
 
-    // hue to rgb (somewhat soft)
-    vec3 h2rgb(float h, float s, float v) {
-      h = fract(h);
-      float i = floor(h * 6.0);
-      float f = h * 6.0 - i;
-      float p = v * (1.0 - s);
-      float q = v * (1.0 - f * s);
-      float t = v * (1.0 - (1.0 - f) * s);
-      vec3 col;
-      if (i == 0.0) col = vec3(v,t,p);
-      else if (i == 1.0) col = vec3(q,v,p);
-      else if (i == 2.0) col = vec3(p,v,t);
-      else if (i == 3.0) col = vec3(p,q,v);
-      else if (i == 4.0) col = vec3(t,p,v);
-      else col = vec3(v,p,q);
-      return col;
+  function setSourceMode(mode) {
+    if (mode === sourceMode) return;
+    endJournalVisit();
+    stopBtn.click();
+    sourceMode = mode;
+
+    const live = mode === "live";
+    liveOptions.hidden = !live;
+    progressContainer.classList.toggle("live", live);
+    if (videoModeContainer) {
+      videoModeContainer.hidden = live || !isVideoSource;
     }
 
-    void main() {
-      vec2 uv = v_uv;
-      vec2 p = uv * u_resolution.xy / min(u_resolution.x, u_resolution.y);
-
-      // base sky
-      vec3 sky = vec3(0.01, 0.02, 0.03);
-
-      // time warp and scale
-      float t = u_time * u_speed * 0.2;
-
-      // We'll create 4 layered curtains
-      vec3 accum = vec3(0.0);
-
-      // parameters per-band
-      for (int b = 0; b < 4; b++) {
-        float bandEnergy = u_bands[b]; // 0..1
-        // horizontal scale for noise and vertical displacement
-        float scale = mix(0.6, 2.5, float(b) * 0.3);
-        float yShift = float(b) * 0.12; // vertical offset per band
-        float bandSpeed = mix(0.4, 1.6, float(b) * 0.4);
-
-        // sample noise - create vertical curtain by sampling noise with uv.x + time
-        float nx = uv.x * scale * 3.0;
-        float ny = uv.y * 1.5 - yShift * 2.0 + t * bandSpeed;
-        float n = snoise(vec2(nx + float(b)*10.0, ny));
-
-        // create a curtain mask: stronger near some y position influenced by n
-        float center = 0.55 + n * 0.25; // center y of curtain
-        float width = 0.25 + bandEnergy * 0.5; // width of curtain
-        float mask = smoothstep(center + width, center + width*0.2, uv.y) - smoothstep(center - width*0.2, center - width, uv.y);
-        // soften edges by additional noise
-        mask *= smoothstep(0.0, 1.0, bandEnergy*1.5 + snoise(vec2(nx*0.5 + 3.0, ny*0.5))*0.6);
-
-        // color per-band (hue choices; map band index to a palette)
-        float baseHue = 0.0;
-        if (b == 0) baseHue = 0.48; // greenish
-        if (b == 1) baseHue = 0.78; // purple-blue
-        if (b == 2) baseHue = 0.12; // golden
-        if (b == 3) baseHue = 0.58; // cyan
-
-        float hue = baseHue + (n * 0.08) + (bandEnergy * 0.06);
-        float sat = 0.6 * u_saturation + 0.2;
-        float val = 0.25 + bandEnergy * 0.85;
-
-        vec3 col = h2rgb(hue, sat, val);
-        // multiply by mask and bandEnergy (so quiet bands are dim)
-        vec3 contribution = col * mask * (0.25 + bandEnergy*1.5);
-
-        // add subtle vertical glow (w wider)
-        float glowMask = exp(-abs(uv.y - center) * 8.0) * 0.5;
-        accum += contribution * (1.0 + glowMask * u_glow);
-      }
+    if (live) {
+      progressBar.style.width = "100%";
+      updateLiveTime();
+      refreshLiveDevices().catch(() => {});
+    } else {
+      progressBar.style.width = "0%";
+      timeDisplay.textContent = "0:00 / 0:00";
+      updateProgress();
+    }
+  }
 
-      // Stars: low-density hashed dots with slow twinkle
-      float star = 0.0;
-      // bias density with u_starDensity
-      vec2 starCell = floor(uv * u_resolution.xy / 40.0);
-      float h = hash21(starCell * 0.123 + vec2(u_time * 0.02));
-      if (h < u_starDensity) {
-        // twinkle via per-cell sine
-        float tw = 0.5 + 0.5 * sin(hash21(starCell) * 343.2 + u_time * 0.8);
-        float dx = fract(uv.x * u_resolution.x / 40.0) - 0.5;
-        float dy = fract(uv.y * u_resolution.y / 40.0) - 0.5;
-        float d = sqrt(dx*dx + dy*dy);
-        float s = smoothstep(u_starSize * 0.6, 0.0, d) * tw;
-        star += s;
-      }
+  // ----- Visualization styles -----
+  // Styles register themselves in scripts/styles/ (see registry.js). The core keeps
+  // their settings and describes each frame to the compositor (compositor.js), which
+  // owns the running instances.
+
+  // The values a style is using, starting from its defaults. Edits to the returned
+  // object reach the live instance on its next frame.
+  function getStyleParams(id) {
+    const style = getStyle(id) || getStyle("florr");
+    if (!styleParams[style.id]) styleParams[style.id] = defaultStyleParams(style);
+    return styleParams[style.id];
+  }
 
-      // combine sky + aurora + stars (additive)
-      vec3 color = sky + accum;
-      color += vec3(star * 1.2);
+  // One frame of analysis from a source made by createAnalysisSource
+  function analyseFrame(source, time, video) {
+    source.read(time);
+    const levels = source.bands.values;
+    const energy = levels.reduce((sum, value) => sum + value, 0) / levels.length;
+    const rhythm = source.beats.update(source.dataArray, time);
+    return {
+      spectrum: source.dataArray,
+      waveform: source.waveArray,
+      bufferLength: source.dataArray.length,
+      sampleRate: source.analyser.context.sampleRate,
+      bands: source.bands.groups(4),
+      levels,
+      level: source.bands.level,
+      edges: source.bands.edges,
+      energy,
+      onset: rhythm.onset,
+      beat: rhythm.beat,
+      beatPhase: rhythm.beatPhase,
+      bpm: rhythm.bpm,
+      time,
+      video
+    };
+  }
 
-      // tone mapping and gamma
-      color = 1.0 - exp(-color * vec3(1.2)); // simple tonemap
-      color = pow(color, vec3(0.95)); // gamma
+  // Scale a frame's levels by a session's intensity, so every style calms down or lifts with it
+  function applyFrameIntensity(frame, intensity) {
+    const level = frame.level;
+    frame.levels = frame.levels.map(value => value * intensity);
+    frame.level = (x) => level(x) * intensity;
+    frame.bands = frame.bands.map(value => value * intensity);
+    frame.energy *= intensity;
+    if (frame.onset) frame.onset = Object.assign({}, frame.onset, { strength: frame.onset.strength * intensity });
+    if (frame.beat) frame.beat = Object.assign({}, frame.beat, { strength: frame.beat.strength * intensity });
+  }
 
-      gl_FragColor = vec4(color, 1.0);
-    }
-  `;
+  // What the compositor shows, described afresh for every frame (compositor.js)
+  function currentView(sessionState) {
+    return {
+      style: currentStyle,
+      params: getStyleParams(currentStyle),
+      bands: baseBands,
+      layers: styleLayers,
+      transition: { type: transitionType, seconds: transitionSeconds },
+      session: sessionState,
+      flashLimit: flashLimiterInput.checked
+    };
+  }
 
-  // Create shader program
-  const vertexShader = gl.createShader(gl.VERTEX_SHADER);
-  gl.shaderSource(vertexShader, vsSource);
-  gl.compileShader(vertexShader);
-  
-  const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
-  gl.shaderSource(fragmentShader, fsSource);
-  gl.compileShader(fragmentShader);
-  
-  const program = gl.createProgram();
-  gl.attachShader(program, vertexShader);
-  gl.attachShader(program, fragmentShader);
-  gl.linkProgram(program);
-  gl.useProgram(program);
-  
-  // Create a quad that covers the entire screen
-  const buffer = gl.createBuffer();
-  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
-  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
-  
-  const positionAttributeLocation = gl.getAttribLocation(program, "a_pos");
-  gl.enableVertexAttribArray(positionAttributeLocation);
-  gl.vertexAttribPointer(positionAttributeLocation, 2, gl.FLOAT, false, 0, 0);
-  
-  // Get uniform locations
-  const resolutionUniformLocation = gl.getUniformLocation(program, "u_resolution");
-  const timeUniformLocation = gl.getUniformLocation(program, "u_time");
-  const bandsUniformLocation = gl.getUniformLocation(program, "u_bands");
-  const speedUniformLocation = gl.getUniformLocation(program, "u_speed");
-  const saturationUniformLocation = gl.getUniformLocation(program, "u_saturation");
-  const starDensityUniformLocation = gl.getUniformLocation(program, "u_starDensity");
-  const starSizeUniformLocation = gl.getUniformLocation(program, "u_starSize");
-  const glowUniformLocation = gl.getUniformLocation(program, "u_glow");
-  
-  // Set default uniform values
-  gl.uniform2f(resolutionUniformLocation, canvas.width, canvas.height);
-  gl.uniform1f(speedUniformLocation, options.speed || 1.0);
-  gl.uniform1f(saturationUniformLocation, options.saturation || 1.0);
-  gl.uniform1f(starDensityUniformLocation, options.starDensity || 0.02);
-  gl.uniform1f(starSizeUniformLocation, options.starSize || 0.2);
-  gl.uniform1f(glowUniformLocation, options.glow || 0.5);
-  
-  let startTime = Date.now();
-  
-  // Return render function
-  return function render() {
+  // The animation clock: the track's position, so the visuals keep pace with the
+  // music at any frame rate, stand still while it is paused and follow a seek. Live
+  // input has no position and counts from when it started.
+  function clockTime() {
+    if (sourceMode === "live" || !audio) return (performance.now() - liveStartTime) / 1000;
+    return audio.currentTime;
+  }
+
+  // Analyse this moment and hand it to the display
+  function renderFrame() {
     dprSizeCanvas();
-    
-    // Update canvas size if needed
-    if (canvas.width !== gl.canvas.width || canvas.height !== gl.canvas.height) {
-      gl.viewport(0, 0, canvas.width, canvas.height);
-      gl.uniform2f(resolutionUniformLocation, canvas.width, canvas.height);
-    }
-    
-    // Update time
-    const currentTime = (Date.now() - startTime) / 1000;
-    gl.uniform1f(timeUniformLocation, currentTime);
-    
-    // Update bands
-    if (getBandEnergies) {
-      const bands = getBandEnergies();
-      gl.uniform4f(bandsUniformLocation, bands[0], bands[1], bands[2], bands[3]);
+    const time = clockTime();
+    const frame = analyseFrame(analysis, time, backdropVideo());
+
+    // The session runs on the animation clock: pausing pauses it, and a seek barely moves it
+    let sessionState = null;
+    if (session) {
+      const dt = sessionLastTime === null ? 0 : Math.min(0.25, Math.max(0, time - sessionLastTime));
+      sessionLastTime = time;
+      sessionState = session.update(dt, frame.bpm);
+      applyFrameIntensity(frame, sessionState.intensity);
+      if (sessionState.done) {
+        if (sessionDoneAt === null || time < sessionDoneAt) sessionDoneAt = time;
+        if (time - sessionDoneAt > 6) endSession("Session complete.");
+      }
     }
-    
-    // Render
-    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
-  };
-}
 
-function createBandEnergiesGetter(analyser, dataArray) {
-  return function() {
-    analyser.getByteFrequencyData(dataArray);
-    
-    // Divide frequency data into 4 bands
-    const bandSize = Math.floor(dataArray.length / 4);
-    const bands = [];
-    
-    for (let i = 0; i < 4; i++) {
-      let sum = 0;
-      for (let j = 0; j < bandSize; j++) {
-        sum += dataArray[i * bandSize + j] / 255;
-      }
-      bands.push(sum / bandSize);
+    display.render(frame, currentView(sessionState));
+    updateSafetyIndicator();
+  }
+
+  function updateSafetyIndicator() {
+    const enabled = flashLimiterInput.checked;
+    const text = !enabled ? "Flash limiter off"
+      : display.safety.limiting ? "Flash limiter active: rapid flashes are being softened"
+      : "";
+    if (safetyIndicator.textContent !== text) {
+      safetyIndicator.textContent = text;
+      safetyIndicator.hidden = !text;
+      safetyIndicator.classList.toggle("off", !enabled);
     }
-    
-    return bands;
-  };
-}
+  }
 
 // ----- Animation loop -----
 function animate() {
@@ -1098,74 +719,122 @@ function animate() {
   
   animationId = requestAnimationFrame(animate);
   
-  switch(currentStyle) {
-    case "florr":
-      renderFlorr();
-      break;
-    case "aurora":
-      renderAurora();
-      break;
-    case "storm":
-      renderStorm();
-      break;
-    case "star":
-      renderStarryNight();
-      break;
-    case "mask":
-      renderMask();
-      break;
-    case "galaxy":
-      renderGalaxy();
-      break;
-    case "quantum":
-      renderQuantum();
-      break;
-    case "aqua":
-      renderAqua();
-      break;
-    case "bars":
-      renderBars();
-      break;
-    case "waveform":
-      renderWaveform();
-      break;
-    case "circle":
-      renderCircle();
-      break;
-    case "manim":
-      renderManim();
-      break;
-    case "bounce":
-      renderBounce();
-      break;
-    case "waves":
-      renderWaves();
-      break;
-    case "metro":
-      renderMetro();
-      break;
-    case "fire":
-      renderFire();
-      break;
-    case "rain":
-      renderRain();
-      break;
-    default:
-      renderFlorr();
+  renderFrame();
+
+  if (sourceMode === "live") {
+    updateLiveTime();
   }
 }
 
 // ----- Event listeners -----
 audioInput.addEventListener("change", (e) => {
-  if (e.target.files && e.target.files[0]) {
-    // Update file label with the selected file name
-    fileLabel.textContent = e.target.files[0].name;
-    setupAudioFromFile(e.target.files[0]);
+  if (e.target.files && e.target.files.length) {
+    addFilesToQueue(e.target.files);
+  }
+  // Allow picking the same files again later
+  audioInput.value = "";
+});
+
+// Files dropped anywhere on the page join the queue
+document.addEventListener("dragover", (e) => {
+  if (e.dataTransfer && e.dataTransfer.types.includes("Files")) {
+    e.preventDefault();
+  }
+});
+
+document.addEventListener("drop", (e) => {
+  if (e.dataTransfer && e.dataTransfer.files.length) {
+    e.preventDefault();
+    addFilesToQueue(e.dataTransfer.files);
   }
 });
 
-startBtn.addEventListener("click", () => {
-  if (!audio) return;
+prevBtn.addEventListener("click", playPrevious);
+nextBtn.addEventListener("click", playNext);
+
+shuffleBtn.addEventListener("click", () => {
+  shuffle = !shuffle;
+  playedEntries.clear();
+  if (deck) playedEntries.add(deck.entry);
+  shuffleBtn.textContent = `Shuffle: ${shuffle ? "On" : "Off"}`;
+  shuffleBtn.classList.toggle("active", shuffle);
+});
+
+repeatBtn.addEventListener("click", () => {
+  const modes = ["off", "all", "one"];
+  repeatMode = modes[(modes.indexOf(repeatMode) + 1) % modes.length];
+  repeatBtn.textContent = `Repeat: ${repeatMode === "off" ? "Off" : repeatMode === "all" ? "All" : "One"}`;
+  repeatBtn.classList.toggle("active", repeatMode !== "off");
+});
+
+crossfadeInput.addEventListener("input", () => {
+  crossfadeSeconds = parseFloat(crossfadeInput.value);
+  crossfadeValue.textContent = `${crossfadeSeconds}s`;
+});
+
+sourceModeSelect.addEventListener("change", () => {
+  setSourceMode(sourceModeSelect.value);
+});
+
+liveDeviceSelect.addEventListener("change", () => {
+  // Reopen the stream on the newly chosen device
+  if (liveStream) {
+    startLiveInput();
+  }
+});
+
+liveGainInput.addEventListener("input", () => {
+  const value = parseFloat(liveGainInput.value);
+  liveGainValue.textContent = `${value.toFixed(1)}\u00D7`;
+  if (liveGain) {
+    liveGain.gain.setTargetAtTime(value, audioCtx.currentTime, 0.05);
+  }
+});
+
+// Audio analysis settings apply to the live analyser and to offline renders.
+// Smoothing is read every frame; band layout and FFT size need a reconfigure.
+function updateAnalysisSettings(reconfigure) {
+  analysisSettings.bandCount = parseInt(bandCountSelect.value, 10);
+  analysisSettings.scale = bandScaleSelect.value;
+  analysisSettings.fftSize = parseInt(fftSizeSelect.value, 10);
+  analysisSettings.attack = parseFloat(bandAttackInput.value);
+  analysisSettings.release = parseFloat(bandReleaseInput.value);
+  analysisSettings.autoGain = autoGainInput.checked;
+  bandAttackValue.textContent = `${Math.round(analysisSettings.attack * 1000)} ms`;
+  bandReleaseValue.textContent = `${Math.round(analysisSettings.release * 1000)} ms`;
+  if (reconfigure && analysis) analysis.configure();
+}
+
+// Set the analysis controls from values (any subset of the settings) and apply them
+function applyAnalysisSettings(values) {
+  if ("bandCount" in values) bandCountSelect.value = String(values.bandCount);
+  if ("scale" in values) bandScaleSelect.value = values.scale;
+  if ("fftSize" in values) fftSizeSelect.value = String(values.fftSize);
+  if ("attack" in values) bandAttackInput.value = values.attack;
+  if ("release" in values) bandReleaseInput.value = values.release;
+  if ("autoGain" in values) autoGainInput.checked = values.autoGain;
+  updateAnalysisSettings(true);
+}
+
+[bandCountSelect, bandScaleSelect, fftSizeSelect].forEach(input => {
+  input.addEventListener("change", () => updateAnalysisSettings(true));
+});
+[bandAttackInput, bandReleaseInput, autoGainInput].forEach(input => {
+  input.addEventListener("input", () => updateAnalysisSettings(false));
+});
+
+startBtn.addEventListener("click", (e) => {
+  if (offlineRender) return;
+  // Only the user's own Start opens a journal entry, not the automatic one on each new track
+  if (e.isTrusted && (sourceMode === "live" || audio || queue.length)) beginJournalVisit();
+  if (sourceMode === "live") {
+    startLiveInput();
+    return;
+  }
+  if (!audio) {
+    if (queue.length) loadTrack(0, false);
+    return;
+  }
   
   if (audioCtx && audioCtx.state === "suspended") {
     audioCtx.resume();
@@ -1179,58 +848,379 @@ startBtn.addEventListener("click", () => {
   }
 });
 
-stopBtn.addEventListener("click", () => {
+stopBtn.addEventListener("click", (e) => {
+  if (e.isTrusted) endJournalVisit();
+  stopRecording();
+  stopLiveInput();
+
   if (audio) {
     audio.pause();
     isAudioPlaying = false;
   }
+  // Stopping mid-crossfade drops the outgoing track
+  retireDeck(fadingDeck);
+  if (deck) {
+    deck.gain.gain.cancelScheduledValues(audioCtx.currentTime);
+    deck.gain.gain.setValueAtTime(1, audioCtx.currentTime);
+    deck.advancing = false;
+  }
   
   if (animationId) {
     cancelAnimationFrame(animationId);
     animationId = null;
   }
+  // A transition cut short by Stop lands on the new style
+  display.reset();
   
   // Clear canvas when stopped
   clearCanvas();
 });
 
-// Style selection buttons
-document.querySelectorAll(".styleBtn").forEach(btn => {
-  btn.addEventListener("click", (e) => {
-    const style = e.target.getAttribute("data-style");
-    
-    // Remove selected class from all buttons
-    document.querySelectorAll(".styleBtn").forEach(b => {
-      b.classList.remove("selected");
-    });
-    
-    // Add selected class to clicked button
-    e.target.classList.add("selected");
-    
-    // Change current style
-    currentStyle = style;
-    
-    // Reset particles for styles that use them
-    if (style === "star" || style === "quantum") {
-      particles = [];
-    }
-    
-     // Handle WebGL canvas visibility
-    const glCanvas = document.getElementById("webgl-canvas");
-    if (glCanvas) {
-      if (style === "aurora") {
-        glCanvas.style.display = "block";
-      } else {
-        glCanvas.style.display = "none";
-      }
-    }
-    
-    // Reinitialize WebGL for Aurora if needed
-    if (style === "aurora") {
-      auroraGL = null;
+// Switch the active animation style (style buttons and queue entries)
+function setStyle(style) {
+  if (style === currentStyle) return;
+
+  document.querySelectorAll(".styleBtn").forEach(b => {
+    b.classList.toggle("selected", b.getAttribute("data-style") === style);
+  });
+
+  // The compositor blends into the new style from its next frame
+  currentStyle = style;
+  paramsLayer = null;
+  renderParamsPanel();
+  renderLayersPanel();
+  noteJournalListening();
+}
+
+// ----- Style transitions -----
+// Switching styles while playing blends the outgoing style into the new one instead
+// of cutting. Queue entries, presets and the assistant all switch through setStyle.
+const transitionTypeSelect = document.getElementById("transitionType");
+const transitionDurationInput = document.getElementById("transitionDuration");
+const transitionDurationValue = document.getElementById("transitionDurationValue");
+
+Object.keys(STYLE_TRANSITIONS).forEach(id => {
+  const option = document.createElement("option");
+  option.value = id;
+  option.textContent = STYLE_TRANSITIONS[id].label;
+  transitionTypeSelect.appendChild(option);
+});
+transitionTypeSelect.value = transitionType;
+
+transitionTypeSelect.addEventListener("change", () => {
+  transitionType = transitionTypeSelect.value;
+});
+
+transitionDurationInput.addEventListener("input", () => {
+  transitionSeconds = parseFloat(transitionDurationInput.value);
+  transitionDurationValue.textContent = transitionSeconds > 0 ? `${transitionSeconds}s` : "Cut";
+  transitionTypeSelect.disabled = transitionSeconds <= 0;
+});
+
+// ----- Params panel -----
+// One control per param of the current style. Inputs write straight into the
+// style's shared values, so the running instance picks them up on its next frame.
+const paramsTitle = document.getElementById("paramsTitle");
+const paramsControls = document.getElementById("paramsControls");
+const paramsReset = document.getElementById("paramsReset");
+
+function formatRangeValue(value, param) {
+  const decimals = (String(param.step || 1).split(".")[1] || "").length;
+  return value.toFixed(decimals);
+}
+
+function createParamControl(name, param, values) {
+  const type = paramType(param);
+  const label = document.createElement("label");
+  label.className = `param-control param-${type}`;
+  const input = document.createElement("input");
+  input.dataset.param = name;
+
+  if (type === "toggle") {
+    input.type = "checkbox";
+    input.checked = values[name];
+    input.addEventListener("input", () => {
+      values[name] = input.checked;
+    });
+    label.append(input, ` ${param.label || name}`);
+    return label;
+  }
+
+  label.append(`${param.label || name} `);
+  if (type === "choice") {
+    const select = document.createElement("select");
+    select.dataset.param = name;
+    Object.keys(param.options).forEach(value => {
+      const option = document.createElement("option");
+      option.value = value;
+      option.textContent = param.options[value];
+      select.appendChild(option);
+    });
+    select.value = values[name];
+    select.addEventListener("change", () => {
+      values[name] = select.value;
+    });
+    label.append(select);
+    return label;
+  }
+
+  if (type === "color") {
+    input.type = "color";
+    input.value = values[name];
+    input.addEventListener("input", () => {
+      values[name] = input.value;
+    });
+    label.append(input);
+    return label;
+  }
+
+  input.type = "range";
+  input.min = param.min;
+  input.max = param.max;
+  input.step = param.step || "any";
+  input.value = values[name];
+  const output = document.createElement("span");
+  output.className = "param-value";
+  output.textContent = formatRangeValue(values[name], param);
+  input.addEventListener("input", () => {
+    values[name] = parseFloat(input.value);
+    output.textContent = formatRangeValue(values[name], param);
+  });
+  label.append(input, output);
+  return label;
+}
+
+// The style and values the panel edits: the current style's, or those of a layer
+function paramsTarget() {
+  if (!styleLayers.includes(paramsLayer)) paramsLayer = null;
+  const style = getStyle(paramsLayer ? paramsLayer.style : currentStyle) || getStyle("florr");
+  return { style, values: paramsLayer ? paramsLayer.params : getStyleParams(style.id), layer: paramsLayer };
+}
+
+function renderParamsPanel() {
+  if (!paramsControls) return;
+  const { style, values, layer } = paramsTarget();
+  const names = Object.keys(style.params);
+
+  paramsTitle.textContent = layer ? `${style.label} layer settings` : `${style.label} settings`;
+  paramsControls.textContent = "";
+  names.forEach(name => paramsControls.appendChild(createParamControl(name, style.params[name], values)));
+  if (!names.length) paramsControls.textContent = "This style has no settings.";
+  paramsReset.disabled = !names.length;
+}
+
+paramsReset.addEventListener("click", () => {
+  const { style, values } = paramsTarget();
+  Object.assign(values, defaultStyleParams(style));
+  renderParamsPanel();
+});
+
+// Switch to a style with the given param values (assistant, presets), and
+// remember the style for the track that is playing
+function applyStyleState(next) {
+  setStyle(next.style);
+  Object.assign(getStyleParams(next.style), next.params);
+  renderParamsPanel();
+  if (deck) {
+    deck.entry.style = next.style;
+    renderQueue();
+  }
+}
+
+// ----- Layer stack -----
+// Styles drawn over the current one, listed top first with the current style at
+// the bottom. Each has an opacity, a blend mode, a frequency range and its own params.
+const layerList = document.getElementById("layerList");
+const layerAdd = document.getElementById("layerAdd");
+const layerBaseName = document.getElementById("layerBaseName");
+const layerBaseBands = document.getElementById("layerBaseBands");
+const layerBaseSettings = document.getElementById("layerBaseSettings");
+
+// options maps values to labels
+function fillSelect(select, options, value) {
+  select.textContent = "";
+  Object.keys(options).forEach(key => {
+    const option = document.createElement("option");
+    option.value = key;
+    option.textContent = options[key];
+    select.appendChild(option);
+  });
+  select.value = value;
+}
+
+function styleLabels() {
+  const labels = {};
+  listStyles().filter(style => !style.hidden).forEach(style => { labels[style.id] = style.label; });
+  return labels;
+}
+
+function bandLabels() {
+  const labels = {};
+  Object.keys(LAYER_BANDS).forEach(id => { labels[id] = LAYER_BANDS[id].label; });
+  return labels;
+}
+
+function editLayerParams(layer) {
+  paramsLayer = layer;
+  renderParamsPanel();
+  renderLayersPanel();
+}
+
+function removeLayer(layer) {
+  styleLayers.splice(styleLayers.indexOf(layer), 1);
+  if (paramsLayer === layer) editLayerParams(null);
+  renderLayersPanel();
+}
+
+// step +1 raises the layer one place, -1 lowers it
+function moveLayer(layer, step) {
+  const from = styleLayers.indexOf(layer);
+  const to = from + step;
+  if (to < 0 || to >= styleLayers.length) return;
+  styleLayers.splice(from, 1);
+  styleLayers.splice(to, 0, layer);
+  renderLayersPanel();
+}
+
+function createLayerRow(layer) {
+  const row = document.createElement("div");
+  row.className = "layer-row";
+  row.classList.toggle("editing", paramsLayer === layer);
+
+  const styleSelect = document.createElement("select");
+  styleSelect.title = "Style of this layer";
+  fillSelect(styleSelect, styleLabels(), layer.style);
+  styleSelect.addEventListener("change", () => {
+    // A new id, so the compositor starts the new style afresh
+    const settings = { opacity: layer.opacity, blend: layer.blend, bands: layer.bands };
+    Object.assign(layer, createLayer(styleSelect.value, settings));
+    if (paramsLayer === layer) renderParamsPanel();
+  });
+
+  const opacity = document.createElement("input");
+  opacity.type = "range";
+  opacity.min = 0;
+  opacity.max = 1;
+  opacity.step = 0.05;
+  opacity.value = layer.opacity;
+  opacity.title = "Opacity";
+  const opacityValue = document.createElement("span");
+  opacityValue.className = "layer-opacity";
+  opacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+  opacity.addEventListener("input", () => {
+    layer.opacity = parseFloat(opacity.value);
+    opacityValue.textContent = `${Math.round(layer.opacity * 100)}%`;
+  });
+
+  const blendSelect = document.createElement("select");
+  blendSelect.title = "Blend mode";
+  fillSelect(blendSelect, LAYER_BLEND_MODES, layer.blend);
+  blendSelect.addEventListener("change", () => {
+    layer.blend = blendSelect.value;
+  });
+
+  const bandsSelect = document.createElement("select");
+  bandsSelect.title = "Frequencies this layer follows";
+  fillSelect(bandsSelect, bandLabels(), layer.bands);
+  bandsSelect.addEventListener("change", () => {
+    layer.bands = bandsSelect.value;
+  });
+
+  const settings = document.createElement("button");
+  settings.textContent = "Settings";
+  settings.title = "Edit this layer's settings";
+  settings.addEventListener("click", () => editLayerParams(layer));
+
+  const up = document.createElement("button");
+  up.textContent = "\u2191";
+  up.title = "Move up";
+  up.disabled = styleLayers.indexOf(layer) === styleLayers.length - 1;
+  up.addEventListener("click", () => moveLayer(layer, 1));
+
+  const down = document.createElement("button");
+  down.textContent = "\u2193";
+  down.title = "Move down";
+  down.disabled = styleLayers.indexOf(layer) === 0;
+  down.addEventListener("click", () => moveLayer(layer, -1));
+
+  const remove = document.createElement("button");
+  remove.textContent = "\u00D7";
+  remove.title = "Remove layer";
+  remove.addEventListener("click", () => removeLayer(layer));
+
+  row.append(styleSelect, opacity, opacityValue, blendSelect, bandsSelect, settings, up, down, remove);
+  return row;
+}
+
+function renderLayersPanel() {
+  if (!layerList) return;
+  const style = getStyle(currentStyle) || getStyle("florr");
+  layerBaseName.textContent = `${style.label} (bottom)`;
+  layerBaseName.parentElement.classList.toggle("editing", !paramsLayer);
+  layerBaseBands.value = baseBands;
+  layerList.textContent = "";
+  styleLayers.slice().reverse().forEach(layer => layerList.appendChild(createLayerRow(layer)));
+  layerAdd.disabled = styleLayers.length >= MAX_LAYERS;
+}
+
+// Replace the whole stack (presets); layers are fresh objects from createLayer
+function setLayerStack(bands, layers) {
+  styleLayers.length = 0;
+  layers.slice(0, MAX_LAYERS).forEach(layer => styleLayers.push(layer));
+  baseBands = LAYER_BANDS[bands] ? bands : "all";
+  paramsLayer = null;
+  renderParamsPanel();
+  renderLayersPanel();
+}
+
+fillSelect(layerBaseBands, bandLabels(), baseBands);
+layerBaseBands.addEventListener("change", () => {
+  baseBands = layerBaseBands.value;
+});
+layerBaseSettings.addEventListener("click", () => editLayerParams(null));
+
+// A new layer starts as a style that isn't showing yet, screened over the rest
+layerAdd.addEventListener("click", () => {
+  if (styleLayers.length >= MAX_LAYERS) return;
+  const showing = [currentStyle].concat(styleLayers.map(layer => layer.style));
+  const styles = listStyles().filter(style => !style.hidden);
+  const style = styles.find(s => !showing.includes(s.id)) || styles[0];
+  const layer = createLayer(style.id, { blend: "screen" });
+  styleLayers.push(layer);
+  editLayerParams(layer);
+});
+
+// Style selection buttons, one per registered style
+function addStyleButton(style) {
+  const container = document.querySelector(".style-buttons");
+  if (!container || style.hidden) return;
+
+  const btn = document.createElement("button");
+  btn.className = "styleBtn";
+  btn.setAttribute("data-style", style.id);
+  btn.textContent = style.label;
+  btn.classList.toggle("selected", style.id === currentStyle);
+  btn.addEventListener("click", () => {
+    setStyle(style.id);
+
+    // Remember the choice for the track that is playing
+    if (deck) {
+      deck.entry.style = style.id;
+      renderQueue();
     }
   });
+  container.appendChild(btn);
+}
+
+listStyles().forEach(addStyleButton);
+onStyleRegistered((style) => {
+  addStyleButton(style);
+  renderQueue();
+  if (style.id === currentStyle) renderParamsPanel();
+  renderLayersPanel();
 });
+renderParamsPanel();
+renderLayersPanel();
 
 // In your app.js, replace the setupProgressBarDragging function with this:
 // In your app.js, replace the setupProgressBarDragging function with this:
@@ -1245,7 +1235,8 @@ function setupProgressBarDragging() {
   
   // Function to update audio position based on click/drag position
   function setAudioPosition(clientX) {
-    if (!audio || isNaN(audio.duration)) return;
+    // Live input cannot be seeked
+    if (sourceMode === "live" || !audio || isNaN(audio.duration)) return;
     
     const rect = progressContainer.getBoundingClientRect();
     const clickPosition = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
@@ -1310,7 +1301,7 @@ setupProgressBarDragging();
 
 // Also update the updateProgress function to handle the progress handle:
 function updateProgress() {
-  if (!audio || isNaN(audio.duration)) return;
+  if (sourceMode === "live" || !audio || isNaN(audio.duration)) return;
   
   const percent = (audio.currentTime / audio.duration) * 100;
   progressBar.style.width = percent + '%';
@@ -1324,46 +1315,1072 @@ function updateProgress() {
   timeDisplay.textContent = `${formatTime(audio.currentTime)} / ${formatTime(audio.duration)}`;
 }
 
-// Set default style button as selected on page load
-document.addEventListener("DOMContentLoaded", () => {
-  const defaultStyleBtn = document.querySelector('.styleBtn[data-style="florr"]');
-  if (defaultStyleBtn) {
-    defaultStyleBtn.classList.add("selected");
+// ----- Recording -----
+function pickRecordingMimeType() {
+  if (!window.MediaRecorder) return null;
+  const candidates = [
+    "video/webm;codecs=vp9,opus",
+    "video/webm;codecs=vp8,opus",
+    "video/webm",
+    "video/mp4;codecs=avc1,mp4a",
+    "video/mp4"
+  ];
+  return candidates.find(type => MediaRecorder.isTypeSupported(type)) || "";
+}
+
+function isRecording() {
+  return !!mediaRecorder && mediaRecorder.state === "recording";
+}
+
+function updateRecordStatus() {
+  if (!recordStatus) return;
+  recordStatus.classList.remove("done");
+
+  if (!isRecording()) {
+    recordStatus.textContent = "";
+    return;
   }
-  
-  // Initialize canvas size
+
+  const elapsed = (performance.now() - recordStartTime) / 1000;
+  let text = `\u25CF REC ${formatTime(elapsed)}`;
+  const track = recordTrackElement;
+  if (recordWholeTrack && track && !isNaN(track.duration) && track.duration > 0) {
+    const percent = Math.min(100, Math.round((track.currentTime / track.duration) * 100));
+    text += ` \u2014 full track ${percent}%`;
+  }
+  recordStatus.textContent = text;
+}
+
+function startRecording(wholeTrack) {
+  // Still recording, or the previous recording is being finalized
+  if (mediaRecorder) return;
+
+  const hasSource = sourceMode === "live" ? !!liveStream : !!audio;
+  if (!hasSource || !audioCtx || !analyser) {
+    recordStatus.textContent = sourceMode === "live"
+      ? "Start the live input before recording."
+      : "Choose an audio file before recording.";
+    return;
+  }
+  if (wholeTrack && sourceMode === "live") {
+    recordStatus.textContent = "Full-track recording needs a file; use Record for live input.";
+    return;
+  }
+
+  const mimeType = pickRecordingMimeType();
+  if (mimeType === null || !canvas.captureStream) {
+    recordStatus.textContent = "Recording is not supported in this browser.";
+    return;
+  }
+
   dprSizeCanvas();
-  clearCanvas();
+
+  // Tap the analyser output so the recording hears exactly what is visualized
+  recordDest = audioCtx.createMediaStreamDestination();
+  recordSource = analyser;
+  recordSource.connect(recordDest);
+
+  // Every style draws into #visualizer, so the canvas alone is the picture
+  const stream = canvas.captureStream(30);
+  recordDest.stream.getAudioTracks().forEach(track => stream.addTrack(track));
+
+  const options = { videoBitsPerSecond: 8000000 };
+  if (mimeType) options.mimeType = mimeType;
+
+  try {
+    mediaRecorder = new MediaRecorder(stream, options);
+  } catch (e) {
+    console.error("Error starting recorder:", e);
+    recordStatus.textContent = "Recording could not be started.";
+    mediaRecorder = null;
+    cleanupRecording();
+    return;
+  }
+
+  recordingChunks = [];
+  recordWholeTrack = wholeTrack;
+  recordTrackElement = audio;
+
+  mediaRecorder.addEventListener("dataavailable", (e) => {
+    if (e.data && e.data.size > 0) {
+      recordingChunks.push(e.data);
+    }
+  });
+
+  mediaRecorder.addEventListener("stop", () => {
+    const type = mediaRecorder.mimeType || mimeType || "video/webm";
+    lastRecordingBlob = new Blob(recordingChunks, { type });
+    recordingChunks = [];
+    mediaRecorder = null;
+
+    const autoDownload = recordWholeTrack;
+    cleanupRecording();
+
+    downloadBtn.disabled = false;
+    recordStatus.textContent = `Recording ready (${(lastRecordingBlob.size / 1048576).toFixed(1)} MB) \u2014 use Download Recording to save it.`;
+    recordStatus.classList.add("done");
+
+    if (autoDownload) {
+      downloadRecording();
+    }
+  });
+
+  mediaRecorder.start(1000);
+  recordStartTime = performance.now();
+  recordBtn.textContent = "Stop Recording";
+  recordBtn.classList.add("recording");
+  recordTimer = setInterval(updateRecordStatus, 250);
+  updateRecordStatus();
+
+  if (wholeTrack) {
+    audio.currentTime = 0;
+    updateProgress();
+  }
+  if (sourceMode === "file") {
+    startBtn.click();
+  }
+}
+
+function stopRecording() {
+  if (isRecording()) {
+    mediaRecorder.stop();
+  }
+}
+
+function cleanupRecording() {
+  if (recordTimer) {
+    clearInterval(recordTimer);
+    recordTimer = null;
+  }
+  if (recordDest) {
+    try { recordSource.disconnect(recordDest); } catch {}
+    recordDest.stream.getTracks().forEach(track => track.stop());
+    recordDest = null;
+    recordSource = null;
+  }
+  recordWholeTrack = false;
+  recordTrackElement = null;
+  recordBtn.textContent = "Record";
+  recordBtn.classList.remove("recording");
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function downloadRecording() {
+  if (!lastRecordingBlob) return;
+  const ext = lastRecordingBlob.type.indexOf("mp4") !== -1 ? "mp4" : "webm";
+  downloadBlob(lastRecordingBlob, `visualization-${new Date().toISOString().slice(0, 19)}.${ext}`);
+}
+
+recordBtn.addEventListener("click", () => {
+  if (isRecording()) {
+    stopRecording();
+  } else {
+    startRecording(false);
+  }
+});
+
+recordTrackBtn.addEventListener("click", () => {
+  startRecording(true);
 });
 
-// Download functionality
-downloadBtn.addEventListener("click", () => {
+// Download the last recording; the button stays disabled until there is one
+downloadBtn.addEventListener("click", downloadRecording);
+
+// A PNG of what the visualizer shows right now, whether or not anything was recorded
+snapshotBtn.addEventListener("click", () => {
   if (!canvas) return;
-  
+
+  display.snapshot()
+    .then(blob => downloadBlob(blob, `visualization-${new Date().toISOString().slice(0, 19)}.png`))
+    .catch(e => console.error("Error downloading image:", e));
+});
+
+// ----- Offline render -----
+function setRenderStatus(text) {
+  if (renderStatus) renderStatus.textContent = text;
+}
+
+// Decode at 48 kHz, the rate the Opus encoder works at
+async function decodeForOffline(file) {
+  const decoder = new OfflineAudioContext(2, 1, 48000);
+  return decoder.decodeAudioData(await file.arrayBuffer());
+}
+
+function copyBytes(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+  }
+  return new Uint8Array(data.slice(0));
+}
+
+// Identification header for the WebM Opus track when the encoder does not supply one
+function createOpusHead(channels, sampleRate) {
+  const head = new Uint8Array(19);
+  const view = new DataView(head.buffer);
+  head.set([79, 112, 117, 115, 72, 101, 97, 100]); // "OpusHead"
+  head[8] = 1;
+  head[9] = channels;
+  view.setUint16(10, 312, true); // libopus default encoder lookahead
+  view.setUint32(12, sampleRate, true);
+  return head;
+}
+
+function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const bytes = new Uint8Array(44 + frames * channels * 2);
+  const view = new DataView(bytes.buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, bytes.length - 8, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, frames * channels * 2, true);
+
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const sample = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += 2;
+    }
+  }
+  return bytes;
+}
+
+async function encodeOpusTrack(buffer) {
+  if (!window.AudioEncoder) return null;
+
+  const channels = Math.min(2, buffer.numberOfChannels);
+  const config = { codec: "opus", sampleRate: buffer.sampleRate, numberOfChannels: channels, bitrate: 192000 };
+  const support = await AudioEncoder.isConfigSupported(config).catch(() => null);
+  if (!support || !support.supported) return null;
+
+  const chunks = [];
+  let description = null;
+  let failure = null;
+  const encoder = new AudioEncoder({
+    output: (chunk, metadata) => {
+      if (metadata && metadata.decoderConfig && metadata.decoderConfig.description) {
+        description = copyBytes(metadata.decoderConfig.description);
+      }
+      chunks.push(chunk);
+    },
+    error: (e) => { failure = e; }
+  });
+  encoder.configure(config);
+
+  const blockFrames = 4800;
+  for (let offset = 0; offset < buffer.length; offset += blockFrames) {
+    const frames = Math.min(blockFrames, buffer.length - offset);
+    const planar = new Float32Array(frames * channels);
+    for (let c = 0; c < channels; c++) {
+      planar.set(buffer.getChannelData(c).subarray(offset, offset + frames), c * frames);
+    }
+    const audioData = new AudioData({
+      format: "f32-planar",
+      sampleRate: buffer.sampleRate,
+      numberOfFrames: frames,
+      numberOfChannels: channels,
+      timestamp: Math.round(offset * 1000000 / buffer.sampleRate),
+      data: planar
+    });
+    encoder.encode(audioData);
+    audioData.close();
+  }
+  await encoder.flush();
+  encoder.close();
+  if (failure) throw failure;
+
+  return {
+    chunks,
+    sampleRate: buffer.sampleRate,
+    channels,
+    codecPrivate: description || createOpusHead(channels, buffer.sampleRate)
+  };
+}
+
+async function createVideoSink(width, height, fps, buffer, baseName) {
+  if (!window.VideoEncoder || !window.VideoFrame) {
+    throw new Error("WebM export needs WebCodecs, which this browser does not support. Try the PNG sequence output.");
+  }
+
+  const bitrate = Math.round(width * height * fps * 0.15);
+  let config = { codec: "vp09.00.40.08", width, height, bitrate, framerate: fps };
+  let codecId = "V_VP9";
+  let support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+  if (!support || !support.supported) {
+    config = { codec: "vp8", width, height, bitrate, framerate: fps };
+    codecId = "V_VP8";
+    support = await VideoEncoder.isConfigSupported(config).catch(() => null);
+    if (!support || !support.supported) {
+      throw new Error(`This browser cannot encode ${width}x${height} video. Try a lower resolution.`);
+    }
+  }
+
+  setRenderStatus("Encoding audio\u2026");
+  const opus = await encodeOpusTrack(buffer);
+
+  const writer = createWebMWriter({
+    width,
+    height,
+    frameRate: fps,
+    videoCodec: codecId,
+    audio: opus ? { sampleRate: opus.sampleRate, channels: opus.channels, codecPrivate: opus.codecPrivate } : null
+  });
+  if (opus) {
+    opus.chunks.forEach(chunk => writer.addAudioChunk(chunk));
+  }
+
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => writer.addVideoChunk(chunk),
+    error: (e) => { failure = e; }
+  });
+  encoder.configure(config);
+
+  return {
+    async addFrame(source, index) {
+      if (failure) throw failure;
+      // Keep the encoder queue short so frames do not pile up in memory
+      while (encoder.encodeQueueSize > 4) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+      const frame = new VideoFrame(source, {
+        timestamp: Math.round(index * 1000000 / fps),
+        duration: Math.round(1000000 / fps)
+      });
+      encoder.encode(frame, { keyFrame: index % (fps * 2) === 0 });
+      frame.close();
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (failure) throw failure;
+      return { blob: writer.finalize(), name: `${baseName}.webm` };
+    },
+    abort() {
+      try { encoder.close(); } catch {}
+    }
+  };
+}
+
+async function writeToDirectory(directory, name, data) {
+  const handle = await directory.getFileHandle(name, { create: true });
+  const writable = await handle.createWritable();
+  await writable.write(data);
+  await writable.close();
+}
+
+const ZIP_TOO_LARGE = "Too many frames for a ZIP archive (at most 65534 and 4 GB, all kept in memory). " +
+  "Choose a lower frame rate or size, or render in a browser that can save to a folder.";
+
+// PNG frames plus audio.wav, written to a folder when the browser allows it, otherwise
+// zipped in memory. A zip that couldn't hold the whole render is refused up front, or
+// as soon as the first frames show it would grow past 4 GB.
+function createImageSequenceSink(buffer, directory, baseName, totalFrames) {
+  const zip = directory ? null : createZipWriter();
+  if (zip && totalFrames + 1 > ZIP_MAX_ENTRIES) throw new Error(ZIP_TOO_LARGE);
+
+  return {
+    async addFrame(source, index) {
+      const blob = await new Promise((resolve, reject) => source.toBlob(result => {
+        if (result) resolve(result);
+        else reject(new Error(`Frame ${index + 1} could not be encoded as PNG.`));
+      }, "image/png"));
+      const name = `frame-${String(index + 1).padStart(6, "0")}.png`;
+      if (directory) {
+        await writeToDirectory(directory, name, blob);
+        return;
+      }
+      zip.addFile(name, new Uint8Array(await blob.arrayBuffer()));
+      if (index + 1 === 30 && (zip.size() / 30) * totalFrames + buffer.length * buffer.numberOfChannels * 2 > ZIP_MAX_BYTES) {
+        throw new Error(ZIP_TOO_LARGE);
+      }
+    },
+    async finish() {
+      const wav = encodeWav(buffer);
+      if (directory) {
+        await writeToDirectory(directory, "audio.wav", wav);
+        return null;
+      }
+      zip.addFile("audio.wav", wav);
+      return { blob: zip.finalize(), name: `${baseName}.zip` };
+    },
+    abort() {}
+  };
+}
+
+// A muted copy of the video, stepped frame by frame for offline backdrops
+function loadOfflineVideo(file) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+  video.src = URL.createObjectURL(file);
+  return new Promise((resolve, reject) => {
+    video.addEventListener("loadeddata", () => resolve(video), { once: true });
+    video.addEventListener("error", () => reject(new Error("The video track could not be decoded.")), { once: true });
+  });
+}
+
+function seekVideo(video, time) {
+  return new Promise(resolve => {
+    if (Math.abs(video.currentTime - time) < 0.001) {
+      resolve();
+      return;
+    }
+    video.addEventListener("seeked", resolve, { once: true });
+    video.currentTime = Math.min(time, video.duration || time);
+  });
+}
+
+function updateRenderProgress(done, total, fps, startedAt) {
+  const elapsed = (performance.now() - startedAt) / 1000;
+  const speed = elapsed > 0 ? (done / fps) / elapsed : 0;
+  if (renderProgress) renderProgress.value = done / total;
+  setRenderStatus(`Frame ${done} / ${total} \u2014 ${speed.toFixed(2)}\u00D7 real time`);
+}
+
+async function renderOffline() {
+  if (!currentFile) {
+    setRenderStatus("Choose an audio file before rendering.");
+    return;
+  }
+
+  const fps = parseInt(renderFps.value, 10);
+  const [width, height] = renderSize.value.split("x").map(Number);
+  const format = renderFormat.value;
+  const style = currentStyle;
+  const baseName = `visualization-${style}-${new Date().toISOString().slice(0, 19)}`;
+
+  // Ask for the output folder first, while the click still counts as a user gesture
+  let directory = null;
+  if (format === "png" && window.showDirectoryPicker) {
+    try {
+      directory = await window.showDirectoryPicker({ mode: "readwrite" });
+    } catch (e) {
+      setRenderStatus("Render cancelled.");
+      return;
+    }
+  }
+
+  stopBtn.click();
+
+  // Render what is on screen, with copies of the values so later edits don't reach it
+  const view = Object.assign(currentView(null), {
+    params: Object.assign({}, getStyleParams(style)),
+    layers: styleLayers.map(layer => createLayer(layer.style, layer))
+  });
+  const job = { cancelled: false, failed: false, video: null, compositor: null };
+  offlineRender = job;
+  renderBtn.textContent = "Cancel Render";
+  if (renderProgress) renderProgress.value = 0;
+
+  let sink = null;
   try {
-    const dataURL = canvas.toDataURL("image/png");
-    const a = document.createElement("a");
-    a.href = dataURL;
-    a.download = `visualization-${new Date().toISOString().slice(0, 19)}.png`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    setRenderStatus("Decoding audio\u2026");
+    const buffer = await decodeForOffline(currentFile);
+    if (job.cancelled) {
+      setRenderStatus("Render cancelled.");
+      return;
+    }
+
+    if (isVideoSource && videoModeSelect.value === "background") {
+      job.video = await loadOfflineVideo(currentFile);
+    }
+
+    const totalFrames = Math.max(1, Math.floor(buffer.duration * fps));
+    sink = format === "png"
+      ? createImageSequenceSink(buffer, directory, baseName, totalFrames)
+      : await createVideoSink(width, height, fps, buffer, baseName);
+
+    const offlineCtx = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+    const source = offlineCtx.createBufferSource();
+    source.buffer = buffer;
+    const offlineAnalyser = offlineCtx.createAnalyser();
+    source.connect(offlineAnalyser);
+    offlineAnalyser.connect(offlineCtx.destination);
+    source.start(0);
+
+    // A compositor of its own draws into an offscreen target, one drawing unit per
+    // output pixel, so the on-screen instances are left alone
+    const target = document.createElement("canvas");
+    job.compositor = createCompositor(target);
+    job.compositor.resize(width, height, 1);
+    const offlineAnalysis = createAnalysisSource(offlineAnalyser, analysisSettings);
+
+    // Suspend the offline graph at every frame time, draw, then let it run on. The
+    // first error stops the render at once: the graph is left suspended and the
+    // failure is reported, rather than drawing on to the end.
+    const startedAt = performance.now();
+    let fail = null;
+    const failed = new Promise((resolve, reject) => { fail = reject; });
+    failed.catch(() => {});
+    for (let i = 0; i < totalFrames; i++) {
+      offlineCtx.suspend(i / fps)
+        .then(async () => {
+          if (job.failed) return;
+          // A cancelled render skips the drawing and runs through to the end
+          if (!job.cancelled) {
+            const time = i / fps;
+            if (job.video) {
+              await seekVideo(job.video, time);
+            }
+            job.compositor.render(analyseFrame(offlineAnalysis, time, job.video), view);
+            await sink.addFrame(target, i);
+            updateRenderProgress(i + 1, totalFrames, fps, startedAt);
+          }
+          await offlineCtx.resume();
+        })
+        .catch(e => {
+          job.failed = true;
+          fail(e);
+        });
+    }
+    await Promise.race([offlineCtx.startRendering(), failed]);
+
+    if (job.cancelled) {
+      sink.abort();
+      setRenderStatus("Render cancelled.");
+      return;
+    }
+
+    setRenderStatus("Finishing\u2026");
+    const result = await sink.finish();
+    if (result) {
+      downloadBlob(result.blob, result.name);
+      setRenderStatus(`Rendered ${totalFrames} frames (${(result.blob.size / 1048576).toFixed(1)} MB).`);
+    } else {
+      setRenderStatus(`Saved ${totalFrames} frames and audio.wav to "${directory.name}".`);
+    }
   } catch (e) {
-    console.error("Error downloading image:", e);
+    console.error("Error rendering offline:", e);
+    if (sink) sink.abort();
+    setRenderStatus(`Render failed: ${e.message}`);
+  } finally {
+    if (job.compositor) job.compositor.dispose();
+    if (job.video) {
+      URL.revokeObjectURL(job.video.src);
+    }
+    offlineRender = null;
+    renderBtn.textContent = "Render";
+  }
+}
+
+renderBtn.addEventListener("click", () => {
+  if (offlineRender) {
+    offlineRender.cancelled = true;
+    return;
   }
+  renderOffline();
 });
 
-// AI Assistant (placeholder)
-document.getElementById("aiSubmit").addEventListener("click", () => {
-  const input = document.getElementById("aiInput").value;
-  const response = document.getElementById("aiResponse");
-  
-  if (input.trim() === "") {
-    response.textContent = "Please enter a description of how you want the visuals to change.";
+// ----- Assistant -----
+// Natural-language requests change the style and its params (assistant.js)
+const aiInput = document.getElementById("aiInput");
+const aiSubmit = document.getElementById("aiSubmit");
+const aiUndo = document.getElementById("aiUndo");
+const aiResponse = document.getElementById("aiResponse");
+const aiBackend = document.getElementById("aiBackend");
+const aiEndpoint = document.getElementById("aiEndpoint");
+const AI_SETTINGS_KEY = "substrata.assistant";
+
+const assistant = createAssistant({
+  getState: () => ({ style: currentStyle, params: getStyleParams(currentStyle) }),
+  applyState: applyStyleState
+});
+
+function loadAssistantSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(AI_SETTINGS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveAssistantSettings() {
+  try {
+    localStorage.setItem(AI_SETTINGS_KEY, JSON.stringify({ backend: aiBackend.value, url: aiEndpoint.value.trim() }));
+  } catch (e) {
+    // Private windows may refuse storage; the settings just won't persist
+  }
+}
+
+function formatParamValue(value) {
+  if (typeof value === "boolean") return value ? "on" : "off";
+  return typeof value === "number" ? String(Math.round(value * 1000) / 1000) : String(value);
+}
+
+// The message plus one "Label: from -> to" line per change
+function showAssistantResult(message, changes) {
+  aiResponse.textContent = "";
+  if (message) {
+    const p = document.createElement("p");
+    p.textContent = message;
+    aiResponse.appendChild(p);
+  }
+  if (changes && changes.length) {
+    const list = document.createElement("ul");
+    list.className = "ai-diff";
+    changes.forEach(change => {
+      const item = document.createElement("li");
+      item.textContent = `${change.label}: ${formatParamValue(change.from)} \u2192 ${formatParamValue(change.to)}`;
+      list.appendChild(item);
+    });
+    aiResponse.appendChild(list);
+  } else if (changes) {
+    aiResponse.appendChild(document.createTextNode("Nothing changed."));
+  }
+  aiUndo.disabled = !assistant.canUndo();
+}
+
+listAssistantBackends().forEach(backend => {
+  const option = document.createElement("option");
+  option.value = backend.id;
+  option.textContent = backend.label;
+  aiBackend.appendChild(option);
+});
+
+const savedAssistant = loadAssistantSettings();
+if (savedAssistant.backend && getAssistantBackend(savedAssistant.backend)) aiBackend.value = savedAssistant.backend;
+if (savedAssistant.url) aiEndpoint.value = savedAssistant.url;
+aiEndpoint.hidden = aiBackend.value !== "endpoint";
+
+aiBackend.addEventListener("change", () => {
+  aiEndpoint.hidden = aiBackend.value !== "endpoint";
+  saveAssistantSettings();
+});
+aiEndpoint.addEventListener("change", saveAssistantSettings);
+
+aiSubmit.addEventListener("click", async () => {
+  const request = aiInput.value.trim();
+  if (request === "") {
+    aiResponse.textContent = "Please enter a description of how you want the visuals to change.";
     return;
   }
-  
-  response.textContent = "AI adjustment feature coming soon!";
+
+  aiSubmit.disabled = true;
+  aiResponse.textContent = "Thinking\u2026";
+  try {
+    const result = await assistant.ask(request, aiBackend.value, { url: aiEndpoint.value.trim() });
+    showAssistantResult(result.message, result.changes);
+  } catch (e) {
+    console.error("Assistant request failed:", e);
+    showAssistantResult(`Couldn't apply that: ${e.message}`, null);
+  } finally {
+    aiSubmit.disabled = false;
+  }
+});
+
+// Ctrl/Cmd+Enter sends the request
+aiInput.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+    e.preventDefault();
+    aiSubmit.click();
+  }
+});
+
+aiUndo.addEventListener("click", () => {
+  const changes = assistant.undo();
+  if (changes) showAssistantResult("Undid the last change.", changes);
+});
+
+// ----- Flash safety -----
+// On by default; turning it off is remembered only for this page. The compositor
+// reads the checkbox with every frame
+flashLimiterInput.addEventListener("change", updateSafetyIndicator);
+
+// ----- Guided session -----
+const sessionGoal = document.getElementById("sessionGoal");
+const sessionLength = document.getElementById("sessionLength");
+const sessionPace = document.getElementById("sessionPace");
+const sessionRateLabel = document.getElementById("sessionRateLabel");
+const sessionRate = document.getElementById("sessionRate");
+const sessionRateValue = document.getElementById("sessionRateValue");
+const sessionBtn = document.getElementById("sessionBtn");
+const sessionStatus = document.getElementById("sessionStatus");
+
+function startSession() {
+  session = createSession({
+    goal: sessionGoal.value,
+    minutes: parseFloat(sessionLength.value),
+    pace: sessionPace.value,
+    breathsPerMinute: parseFloat(sessionRate.value)
+  });
+  sessionLastTime = null;
+  sessionDoneAt = null;
+  sessionBtn.textContent = "End Session";
+  noteJournalListening();
+  sessionStatus.textContent = `${session.goal.label} session, ${sessionLength.value} minutes. Breathe with the ring.`;
+  if (!isAudioPlaying) startBtn.click();
+}
+
+function endSession(message) {
+  session = null;
+  sessionBtn.textContent = "Start Session";
+  sessionStatus.textContent = message || "";
+}
+
+sessionBtn.addEventListener("click", () => {
+  if (session) endSession("Session ended.");
+  else startSession();
+});
+
+sessionPace.addEventListener("change", () => {
+  sessionRateLabel.hidden = sessionPace.value !== "manual";
+});
+
+sessionRate.addEventListener("input", () => {
+  sessionRateValue.textContent = sessionRate.value;
+});
+
+// ----- Mood journal -----
+// Optional check-ins before and after listening, stored on this device (journal.js)
+const journalCheckins = document.getElementById("journalCheckins");
+const journalHistoryBtn = document.getElementById("journalHistoryBtn");
+const journalHistory = document.getElementById("journalHistory");
+const journalChart = document.getElementById("journalChart");
+const journalSummary = document.getElementById("journalSummary");
+const journalCsv = document.getElementById("journalCsv");
+const journalJson = document.getElementById("journalJson");
+const journalClear = document.getElementById("journalClear");
+const journalStatus = document.getElementById("journalStatus");
+const checkinDialog = document.getElementById("checkinDialog");
+const checkinTitle = document.getElementById("checkinTitle");
+const checkinMood = document.getElementById("checkinMood");
+const checkinMoodValue = document.getElementById("checkinMoodValue");
+const checkinEnergy = document.getElementById("checkinEnergy");
+const checkinEnergyValue = document.getElementById("checkinEnergyValue");
+const JOURNAL_SETTINGS_KEY = "substrata.journal";
+
+let journalVisit = null;      // listening stretch being journaled
+let checkinDone = null;       // callback of the open check-in
+
+try {
+  journalCheckins.checked = JSON.parse(localStorage.getItem(JOURNAL_SETTINGS_KEY)) === true;
+} catch (e) {
+  journalCheckins.checked = false;
+}
+
+journalCheckins.addEventListener("change", () => {
+  try {
+    localStorage.setItem(JOURNAL_SETTINGS_KEY, JSON.stringify(journalCheckins.checked));
+  } catch (e) {
+    // Not persisted in private windows
+  }
+});
+
+// Ask how the user feels; done(values) gets { mood, energy } or null when skipped
+function openCheckin(title, done) {
+  finishCheckin(null);
+  checkinTitle.textContent = title;
+  checkinMood.value = 5;
+  checkinEnergy.value = 5;
+  checkinMoodValue.textContent = "5";
+  checkinEnergyValue.textContent = "5";
+  checkinDone = done;
+  checkinDialog.show();
+}
+
+function finishCheckin(values) {
+  const done = checkinDone;
+  checkinDone = null;
+  if (checkinDialog.open) checkinDialog.close();
+  if (done) done(values);
+}
+
+checkinMood.addEventListener("input", () => {
+  checkinMoodValue.textContent = checkinMood.value;
+});
+checkinEnergy.addEventListener("input", () => {
+  checkinEnergyValue.textContent = checkinEnergy.value;
+});
+document.getElementById("checkinSave").addEventListener("click", () => {
+  finishCheckin({ mood: parseInt(checkinMood.value, 10), energy: parseInt(checkinEnergy.value, 10) });
+});
+document.getElementById("checkinSkip").addEventListener("click", () => finishCheckin(null));
+
+function beginJournalVisit() {
+  if (!journalCheckins.checked || journalVisit) return;
+  const visit = { startedAt: new Date(), tracks: [], styles: [], session: null, before: null };
+  journalVisit = visit;
+  noteJournalListening();
+  openCheckin("How do you feel before listening?", values => {
+    visit.before = values;
+  });
+}
+
+// Record what is playing and showing in the open entry
+function noteJournalListening() {
+  if (!journalVisit) return;
+  const track = sourceMode === "live" ? "Live input" : deck ? deck.entry.name : null;
+  if (track && journalVisit.tracks[journalVisit.tracks.length - 1] !== track) journalVisit.tracks.push(track);
+  if (!journalVisit.styles.includes(currentStyle)) journalVisit.styles.push(currentStyle);
+  if (session) journalVisit.session = session.goalId;
+}
+
+function endJournalVisit() {
+  if (!journalVisit) return;
+  const visit = journalVisit;
+  journalVisit = null;
+  visit.endedAt = new Date();
+  finishCheckin(null); // a before check-in still open counts as skipped
+  openCheckin("How do you feel after listening?", after => saveJournalVisit(visit, after));
+}
+
+async function saveJournalVisit(visit, after) {
+  if (!visit.before && !after) return;
+  try {
+    await addJournalEntry({
+      startedAt: visit.startedAt.toISOString(),
+      endedAt: visit.endedAt.toISOString(),
+      duration: (visit.endedAt - visit.startedAt) / 1000,
+      tracks: visit.tracks,
+      styles: visit.styles,
+      session: visit.session,
+      before: visit.before,
+      after
+    });
+    journalStatus.textContent = "Check-in saved to your journal.";
+    if (!journalHistory.hidden) refreshJournalHistory();
+  } catch (e) {
+    console.error("Could not save journal entry:", e);
+    journalStatus.textContent = `Couldn't save the check-in: ${e.message}`;
+  }
+}
+
+function formatChange(value) {
+  return `${value > 0 ? "+" : ""}${value.toFixed(1)}`;
+}
+
+async function refreshJournalHistory() {
+  let entries = [];
+  try {
+    entries = await listJournalEntries();
+  } catch (e) {
+    journalSummary.textContent = e.message;
+    return;
+  }
+  drawJournalChart(journalChart, entries);
+
+  const paired = entries.filter(e => e.before && e.after);
+  let summary = `${entries.length} ${entries.length === 1 ? "entry" : "entries"}`;
+  if (paired.length) {
+    const mood = paired.reduce((sum, e) => sum + e.after.mood - e.before.mood, 0) / paired.length;
+    const energy = paired.reduce((sum, e) => sum + e.after.energy - e.before.energy, 0) / paired.length;
+    summary += ` \u00B7 average change after listening: mood ${formatChange(mood)}, energy ${formatChange(energy)}`;
+  }
+  journalSummary.textContent = summary;
+}
+
+journalHistoryBtn.addEventListener("click", () => {
+  journalHistory.hidden = !journalHistory.hidden;
+  journalHistoryBtn.textContent = journalHistory.hidden ? "Show History" : "Hide History";
+  if (!journalHistory.hidden) refreshJournalHistory();
+});
+
+async function exportJournal(format) {
+  try {
+    const entries = await listJournalEntries();
+    const date = new Date().toISOString().slice(0, 10);
+    const blob = format === "csv"
+      ? new Blob([journalToCSV(entries)], { type: "text/csv" })
+      : new Blob([JSON.stringify(entries, null, 2)], { type: "application/json" });
+    downloadBlob(blob, `mood-journal-${date}.${format}`);
+  } catch (e) {
+    journalStatus.textContent = `Couldn't export the journal: ${e.message}`;
+  }
+}
+
+journalCsv.addEventListener("click", () => exportJournal("csv"));
+journalJson.addEventListener("click", () => exportJournal("json"));
+
+journalClear.addEventListener("click", async () => {
+  if (!confirm("Delete every journal entry on this device? This can't be undone.")) return;
+  try {
+    await clearJournal();
+    journalStatus.textContent = "Journal cleared.";
+    refreshJournalHistory();
+  } catch (e) {
+    journalStatus.textContent = `Couldn't clear the journal: ${e.message}`;
+  }
+});
+
+// ----- Presets -----
+// Saved looks (presets.js): browser storage, JSON files, links and the team library
+const presetSelect = document.getElementById("presetSelect");
+const presetName = document.getElementById("presetName");
+const presetSave = document.getElementById("presetSave");
+const presetDelete = document.getElementById("presetDelete");
+const presetExport = document.getElementById("presetExport");
+const presetImport = document.getElementById("presetImport");
+const presetFile = document.getElementById("presetFile");
+const presetLink = document.getElementById("presetLink");
+const presetStatus = document.getElementById("presetStatus");
+
+let savedPresets = loadSavedPresets();
+let libraryPresets = [];
+
+function setPresetStatus(text) {
+  presetStatus.textContent = text;
+}
+
+function currentPreset() {
+  const style = getStyle(currentStyle) || getStyle("florr");
+  const name = presetName.value.trim() || style.label;
+  return capturePreset(name, style.id, getStyleParams(style.id), analysisSettings,
+    { bands: baseBands, layers: styleLayers });
+}
+
+function applyPreset(preset) {
+  const style = getStyle(preset.style);
+  applyStyleState({ style: style.id, params: Object.assign(defaultStyleParams(style), preset.params) });
+  setLayerStack(preset.bands, preset.layers.map(layer => createLayer(layer.style, layer)));
+  applyAnalysisSettings(preset.analysis);
+  presetName.value = preset.name;
+}
+
+// Option values are "saved:<index>" or "library:<index>"
+function renderPresetSelect(selected) {
+  presetSelect.textContent = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Choose a preset\u2026";
+  presetSelect.appendChild(placeholder);
+
+  [["saved", "Saved", savedPresets], ["library", "Library", libraryPresets]].forEach(([kind, label, presets]) => {
+    if (!presets.length) return;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    presets.forEach((preset, i) => {
+      const option = document.createElement("option");
+      option.value = `${kind}:${i}`;
+      option.textContent = preset.name;
+      group.appendChild(option);
+    });
+    presetSelect.appendChild(group);
+  });
+  presetSelect.value = selected || "";
+  presetDelete.disabled = !presetSelect.value.startsWith("saved:");
+}
+
+function selectedPreset() {
+  const [kind, index] = presetSelect.value.split(":");
+  const presets = kind === "saved" ? savedPresets : kind === "library" ? libraryPresets : [];
+  return presets[parseInt(index, 10)] || null;
+}
+
+presetSelect.addEventListener("change", () => {
+  presetDelete.disabled = !presetSelect.value.startsWith("saved:");
+  const preset = selectedPreset();
+  if (!preset) return;
+  applyPreset(preset);
+  setPresetStatus(`Loaded \u201C${preset.name}\u201D.`);
+});
+
+presetSave.addEventListener("click", () => {
+  const preset = currentPreset();
+  try {
+    savedPresets = savePreset(preset);
+  } catch (e) {
+    setPresetStatus(`Couldn't save: ${e.message}`);
+    return;
+  }
+  renderPresetSelect("saved:0");
+  setPresetStatus(`Saved \u201C${preset.name}\u201D.`);
+});
+
+presetDelete.addEventListener("click", () => {
+  const preset = selectedPreset();
+  if (!preset || !presetSelect.value.startsWith("saved:")) return;
+  try {
+    savedPresets = deletePreset(preset.name);
+  } catch (e) {
+    setPresetStatus(`Couldn't delete: ${e.message}`);
+    return;
+  }
+  renderPresetSelect();
+  setPresetStatus(`Deleted \u201C${preset.name}\u201D.`);
+});
+
+presetExport.addEventListener("click", () => {
+  const preset = currentPreset();
+  const blob = new Blob([JSON.stringify(preset, null, 2)], { type: "application/json" });
+  const fileName = preset.name.replace(/[^\w\-]+/g, "-").replace(/^-+|-+$/g, "") || "preset";
+  downloadBlob(blob, `${fileName}.json`);
+});
+
+presetImport.addEventListener("click", () => presetFile.click());
+
+presetFile.addEventListener("change", async () => {
+  const file = presetFile.files && presetFile.files[0];
+  presetFile.value = "";
+  if (!file) return;
+  try {
+    const preset = validatePreset(JSON.parse(await file.text()));
+    applyPreset(preset);
+    savedPresets = savePreset(preset);
+    renderPresetSelect("saved:0");
+    setPresetStatus(`Imported \u201C${preset.name}\u201D.`);
+  } catch (e) {
+    setPresetStatus(`Couldn't import ${file.name}: ${e.message}`);
+  }
+});
+
+// The link restores the look when opened; it is also put in the address bar
+presetLink.addEventListener("click", async () => {
+  const hash = encodePresetHash(currentPreset());
+  const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+  history.replaceState(null, "", hash);
+  try {
+    await navigator.clipboard.writeText(url);
+    setPresetStatus("Link copied to the clipboard.");
+  } catch (e) {
+    setPresetStatus(`Share this link: ${url}`);
+  }
+});
+
+function applyPresetFromHash() {
+  try {
+    const preset = decodePresetHash(location.hash);
+    if (!preset) return;
+    applyPreset(preset);
+    setPresetStatus(`Loaded \u201C${preset.name}\u201D from the link.`);
+  } catch (e) {
+    setPresetStatus(`The preset in this link couldn't be read: ${e.message}`);
+  }
+}
+
+window.addEventListener("hashchange", applyPresetFromHash);
+renderPresetSelect();
+applyPresetFromHash();
+fetchPresetLibrary().then(presets => {
+  libraryPresets = presets;
+  renderPresetSelect(presetSelect.value);
 });
 
 // Handle window resize
@@ -1371,11 +2388,6 @@ window.addEventListener("resize", () => {
   dprSizeCanvas();
 });
 
-  const defaultStyleBtn = document.querySelector('.styleBtn[data-style="florr"]');
-  if (defaultStyleBtn) {
-    defaultStyleBtn.classList.add("selected");
-  }
-  
   // Initialize canvas size
   dprSizeCanvas();
   clearCanvas();
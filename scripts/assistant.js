@@ -0,0 +1,328 @@
+// assistant.js - Turns requests like "slower and warmer" into changes to the style and its params
+//
+// A backend interprets one request against the current state and answers with
+//   { style?, params?: { name: value }, message? }
+// where style is a style id to switch to and params are values for that style.
+// Backends may return a Promise. The assistant checks the answer against the
+// registry, applies it through the host and keeps the previous states for undo.
+
+const assistantBackends = new Map();
+
+// backend: { id, label, interpret(request, context, options) }
+//   context - { style, params, styles: [{ id, label, tags, params }] } (plain data)
+//   options - backend settings from the UI, e.g. { url } for the endpoint backend
+function registerAssistantBackend(backend) {
+  if (!backend || !backend.id || typeof backend.interpret !== "function") {
+    console.error("registerAssistantBackend: a backend needs an id and an interpret function", backend);
+    return;
+  }
+  assistantBackends.set(backend.id, Object.assign({ label: backend.id }, backend));
+}
+
+function getAssistantBackend(id) {
+  return assistantBackends.get(id) || null;
+}
+
+function listAssistantBackends() {
+  return Array.from(assistantBackends.values());
+}
+
+// ----- Built-in keyword backend -----
+// Works offline: a handful of intents, each nudging the params that carry a tag.
+
+const ASSISTANT_MOODS = {
+  calm: ["calm", "relaxing", "relaxed", "peaceful", "gentle", "soothing", "chill", "quiet", "soft", "serene"],
+  energetic: ["energetic", "upbeat", "lively", "party", "hype", "exciting", "fun"],
+  intense: ["intense", "dramatic", "powerful", "wild"],
+  blue: ["blue", "cold"],
+  cool: ["cool", "icy"],
+  warm: ["warm", "cozy", "sunny", "orange", "golden"],
+  green: ["green"],
+  dark: ["dark", "moody", "gloomy"],
+  melancholy: ["sad", "melancholy", "melancholic", "rainy", "lonely"],
+  night: ["night", "nocturnal"],
+  space: ["space", "cosmic", "stars", "starry", "galaxy"],
+  nature: ["nature", "natural", "outdoors"],
+  water: ["water", "ocean", "sea", "underwater"],
+  city: ["city", "urban"],
+  colorful: ["colorful", "colourful", "rainbow", "vivid"],
+  geometric: ["geometric", "math", "mathematical", "shapes"],
+  playful: ["playful", "bouncy"],
+  festive: ["festive", "celebration", "celebrate"],
+  neon: ["neon"],
+  minimal: ["minimal", "simple", "clean"]
+};
+
+// pattern -> how to change every param carrying tag
+const ASSISTANT_INTENTS = [
+  { pattern: /\b(slow(er)?|slow down|calmer|lazier)\b/, tag: "speed", scale: 0.7, describe: "slower" },
+  { pattern: /\b(fast(er)?|quick(er)?|speed up)\b/, tag: "speed", scale: 1.4, describe: "faster" },
+  { pattern: /\b(bigger|larger|huge)\b/, tag: "size", scale: 1.4, describe: "bigger" },
+  { pattern: /\b(smaller|tiny|tinier)\b/, tag: "size", scale: 0.7, describe: "smaller" },
+  { pattern: /\b(brighter|lighter)\b/, tag: "brightness", scale: 1.3, describe: "brighter" },
+  { pattern: /\b(dimmer|darker)\b/, tag: "brightness", scale: 0.75, describe: "dimmer" },
+  { pattern: /\b(more (colou?rful|saturated|vivid)|saturate)\b/, tag: "saturation", scale: 1.3, describe: "more saturated" },
+  { pattern: /\b(less (colou?rful|saturated|vivid)|muted|desaturate|greyer|grayer)\b/, tag: "saturation", scale: 0.7, describe: "less saturated" },
+  { pattern: /\b(more intense|stronger|harder|punchier)\b/, tag: "intensity", scale: 1.3, describe: "more intense" },
+  { pattern: /\b(less intense|weaker|softer|gentler|subtler)\b/, tag: "intensity", scale: 0.7, describe: "gentler" },
+  { pattern: /\b(busier|denser|more stuff)\b/, tag: "density", scale: 1.5, describe: "busier" },
+  { pattern: /\b(emptier|sparser|less busy|cleaner)\b/, tag: "density", scale: 0.6, describe: "sparser" },
+  { pattern: /\b(warmer|warm it up|more (orange|red|golden))\b/, tag: "warmth", add: 0.4, describe: "warmer" },
+  { pattern: /\b(cooler|colder|bluer|cool it down|more blue)\b/, tag: "warmth", add: -0.4, describe: "cooler" }
+];
+
+const ASSISTANT_SWITCH = /\b(switch|change|go|move|swap)\s+(to|over to)\b|\b(something|anything|another style|different style|style)\b|\b(show|use|try)\s+(me\s+)?(the\s+)?\w/;
+
+function assistantWords(text) {
+  return text.toLowerCase().split(/[^a-z0-9.\-]+/).filter(Boolean);
+}
+
+function assistantSingular(word) {
+  return word.length > 3 && word.endsWith("s") ? word.slice(0, -1) : word;
+}
+
+// Params of a type (default "range") whose name or label mentions word, e.g. "stars" -> "Stars", "starDensity"
+function assistantFindParams(style, word, type) {
+  const noun = assistantSingular(word);
+  if (noun.length < 3) return [];
+  return Object.keys(style.params).filter(name => {
+    const param = style.params[name];
+    if (paramType(param) !== (type || "range")) return false;
+    return name.toLowerCase().includes(noun) || assistantWords(param.label || "").some(w => assistantSingular(w) === noun);
+  });
+}
+
+// The style a request asks for: by name first, then by the moods it mentions
+function assistantPickStyle(text, context) {
+  const words = assistantWords(text);
+  const candidates = context.styles.filter(s => !s.hidden);
+
+  const named = candidates.find(s => {
+    const label = s.label.toLowerCase();
+    return words.includes(s.id) || label.split(/[^a-z]+/).some(w => w.length > 3 && words.includes(w)) || text.includes(label);
+  });
+  if (named) return { id: named.id, reason: `switched to ${named.label}` };
+
+  if (!ASSISTANT_SWITCH.test(text)) return null;
+  const moods = Object.keys(ASSISTANT_MOODS).filter(mood => ASSISTANT_MOODS[mood].some(w => words.includes(w)));
+  if (!moods.length) return null;
+
+  let best = null;
+  let bestScore = 0;
+  candidates.forEach(s => {
+    const score = moods.filter(mood => s.tags.includes(mood)).length;
+    // Ties go to a style other than the current one, since a change was asked for
+    if (score > bestScore || (score === bestScore && score > 0 && best && best.id === context.style)) {
+      best = s;
+      bestScore = score;
+    }
+  });
+  return best ? { id: best.id, reason: `switched to ${best.label} (${moods.filter(m => best.tags.includes(m)).join(", ")})` } : null;
+}
+
+function interpretKeywords(request, context) {
+  const text = request.toLowerCase();
+  const notes = [];
+
+  const pick = assistantPickStyle(text, context);
+  const styleId = pick ? pick.id : context.style;
+  const style = context.styles.find(s => s.id === styleId);
+  // A new style starts from its defaults; otherwise from the values in use
+  const values = Object.assign({}, pick && pick.id !== context.style ? defaultStyleParams(style) : context.params);
+  const params = {};
+  if (pick) notes.push(pick.reason);
+
+  function set(name, value) {
+    values[name] = value;
+    params[name] = value;
+  }
+
+  function scaleParam(name, scale) {
+    const param = style.params[name];
+    const current = values[name];
+    // Scaling zero does nothing; start from a tenth of the range instead
+    const base = current === 0 && scale > 1 ? (param.max - param.min) * 0.1 : current * scale;
+    set(name, base);
+  }
+
+  if (/\b(reset|defaults?|start over)\b/.test(text)) {
+    const defaults = defaultStyleParams(style);
+    Object.keys(defaults).forEach(name => set(name, defaults[name]));
+    notes.push("reset to defaults");
+  }
+
+  // "fewer stars", "more petals", "less glow"
+  const quantities = /\b(fewer|less|more|lots more|many more)\s+([a-z]+)/g;
+  let match;
+  while ((match = quantities.exec(text))) {
+    const names = assistantFindParams(style, match[2]);
+    const scale = match[1] === "fewer" || match[1] === "less" ? 0.6 : 1.5;
+    names.forEach(name => scaleParam(name, scale));
+    if (names.length) notes.push(`${match[1]} ${match[2]}`);
+    else if (!ASSISTANT_INTENTS.some(intent => intent.pattern.test(match[0]))) notes.push(`${style.label} has no ${match[2]}`);
+  }
+
+  // "set petals to 20", "speed = 2"
+  const assignments = /\b(?:set\s+)?([a-z ]+?)\s+(?:to|=|at)\s+(-?\d+(?:\.\d+)?)/g;
+  while ((match = assignments.exec(text))) {
+    const words = assistantWords(match[1]).filter(w => w !== "the" && w !== "set");
+    const names = words.length ? assistantFindParams(style, words[words.length - 1]) : [];
+    if (names.length) {
+      set(names[0], parseFloat(match[2]));
+      notes.push(`${style.params[names[0]].label || names[0]} set to ${match[2]}`);
+    }
+  }
+
+  // "turn off the trails", "enable foam"
+  const switches = /\b(turn off|switch off|disable|hide|no|without|turn on|switch on|enable|with)\s+(?:the\s+)?([a-z]+)/g;
+  while ((match = switches.exec(text))) {
+    const on = /^(turn on|switch on|enable|with)$/.test(match[1]);
+    const names = assistantFindParams(style, match[2], "toggle");
+    names.forEach(name => set(name, on));
+    if (names.length) notes.push(`${match[2]} ${on ? "on" : "off"}`);
+  }
+
+  // "rainbow palette", "katakana characters": an option named along with its param
+  const requestWords = assistantWords(text);
+  const choices = new Set();
+  requestWords.forEach(word => assistantFindParams(style, word, "choice").forEach(name => choices.add(name)));
+  choices.forEach(name => {
+    const options = style.params[name].options;
+    const value = Object.keys(options).find(key => requestWords.includes(key.toLowerCase()) || text.includes(options[key].toLowerCase()));
+    if (value === undefined) return;
+    set(name, value);
+    notes.push(`${style.params[name].label || name} set to ${options[value]}`);
+  });
+
+  ASSISTANT_INTENTS.forEach(intent => {
+    if (!intent.pattern.test(text)) return;
+    const names = Object.keys(style.params).filter(name => paramHasTag(style.params[name], intent.tag));
+    names.forEach(name => {
+      if (intent.scale) scaleParam(name, intent.scale);
+      else set(name, values[name] + intent.add);
+    });
+    if (names.length) notes.push(intent.describe);
+    else notes.push(`${style.label} has nothing to make ${intent.describe}`);
+  });
+
+  const result = { message: notes.length ? notes.join("; ") : "" };
+  if (pick && pick.id !== context.style) result.style = pick.id;
+  if (Object.keys(params).length) result.params = params;
+  if (!notes.length) {
+    result.message = "I didn't catch that. Try \"slower and warmer\", \"fewer stars\" or \"switch to something calm and blue\".";
+  }
+  return result;
+}
+
+registerAssistantBackend({
+  id: "keywords",
+  label: "Built-in (offline)",
+  interpret: interpretKeywords
+});
+
+// ----- Model endpoint backend -----
+// POSTs { request, context } as JSON to a configurable URL and expects an answer in the
+// backend format above. Any service (or a local stub) that speaks this can be plugged in.
+
+registerAssistantBackend({
+  id: "endpoint",
+  label: "Model endpoint",
+  async interpret(request, context, options) {
+    const url = options && options.url;
+    if (!url) throw new Error("Set the endpoint URL first.");
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ request, context })
+    });
+    if (!response.ok) throw new Error(`The endpoint answered ${response.status} ${response.statusText}`);
+    return response.json();
+  }
+});
+
+// ----- Assistant -----
+
+// host: { getState() -> { style, params }, applyState({ style, params }) }
+function createAssistant(host) {
+  const history = [];          // states before each applied change, newest last
+  const HISTORY_LIMIT = 50;
+
+  function describeStyles() {
+    return listStyles().map(s => ({
+      id: s.id,
+      label: s.label,
+      tags: s.tags.slice(),
+      hidden: s.hidden,
+      params: JSON.parse(JSON.stringify(s.params))
+    }));
+  }
+
+  // Keep only what the registry knows about, clamped to each param's range
+  function resolve(answer, current) {
+    const style = (answer && answer.style && getStyle(answer.style)) || getStyle(current.style);
+    const switching = style.id !== current.style;
+    const params = Object.assign({}, switching ? defaultStyleParams(style) : current.params);
+    const requested = (answer && answer.params) || {};
+    Object.keys(requested).forEach(name => {
+      const param = style.params[name];
+      const value = param ? normalizeParamValue(param, requested[name]) : undefined;
+      if (value !== undefined) params[name] = value;
+    });
+    return { style: style.id, params };
+  }
+
+  // Human-readable list of what differs between two states
+  function diff(before, after) {
+    const changes = [];
+    if (before.style !== after.style) {
+      const from = getStyle(before.style);
+      const to = getStyle(after.style);
+      changes.push({ name: "style", label: "Style", from: from ? from.label : before.style, to: to.label });
+      return changes.concat(diff({ style: after.style, params: defaultStyleParams(to) }, after));
+    }
+    const style = getStyle(after.style);
+    Object.keys(style.params).forEach(name => {
+      if (before.params[name] !== after.params[name]) {
+        changes.push({ name, label: style.params[name].label || name, from: before.params[name], to: after.params[name] });
+      }
+    });
+    return changes;
+  }
+
+  function snapshot() {
+    const state = host.getState();
+    return { style: state.style, params: Object.assign({}, state.params) };
+  }
+
+  // Resolves to { changes, message }
+  async function ask(request, backendId, options) {
+    const backend = getAssistantBackend(backendId) || getAssistantBackend("keywords");
+    const before = snapshot();
+    const context = { style: before.style, params: Object.assign({}, before.params), styles: describeStyles() };
+    const answer = await backend.interpret(request, context, options || {});
+    const after = resolve(answer, before);
+    const changes = diff(before, after);
+    if (changes.length) {
+      history.push(before);
+      if (history.length > HISTORY_LIMIT) history.shift();
+      host.applyState(after);
+    }
+    return { changes, message: (answer && answer.message) || "" };
+  }
+
+  // Restores the state before the last change; resolves to its changes or null
+  function undo() {
+    if (!history.length) return null;
+    const current = snapshot();
+    const previous = history.pop();
+    host.applyState(previous);
+    return diff(current, previous);
+  }
+
+  return {
+    ask,
+    undo,
+    canUndo: () => history.length > 0,
+    diff
+  };
+}
@@ -0,0 +1,292 @@
+// compositor.js - Turns analysis frames into the finished picture on one canvas
+//
+// Draws the current style (blending into the next one when it changes), the layers
+// over it, the breathing guide of a guided session and, last, the flash limiter.
+// It only uses what a worker has too, so the same code draws on the page, in
+// render-worker.js and for offline renders.
+//
+// What to show is described afresh every frame by a plain view, so it can be posted:
+//   {
+//     style, params,                  // current style and its param values
+//     bands,                          // frequencies the style follows (layers.js)
+//     layers: [{ id, style, opacity, blend, bands, params }],  // bottom first
+//     transition: { type, seconds },  // how a change of style blends (renderer.js)
+//     session,                        // frame from session.update(), or null
+//     flashLimit                      // run the flash limiter (safety.js)
+//   }
+//
+// A frame is the analysis of one moment (app.js analyseFrame): the scene fields of
+// registry.js apart from level(x), which is rebuilt from levels when missing, and
+// dt and random(), which each running style gets from its own instance; plus edges,
+// the band edges in Hz. Its video is a video element or an ImageBitmap. Its time
+// is the animation clock; a jump of more than CLOCK_JUMP seconds, or any step back,
+// starts the styles over.
+
+const CLOCK_JUMP = 1;
+
+// Draw the current video frame to cover a width x height area
+function drawVideoFrame(ctx, width, height, video) {
+  const vw = video.videoWidth || video.width;
+  const vh = video.videoHeight || video.height;
+  if (!vw || !vh) return false;
+
+  const scale = Math.max(width / vw, height / vh);
+  const w = vw * scale;
+  const h = vh * scale;
+  ctx.drawImage(video, (width - w) / 2, (height - h) / 2, w, h);
+  return true;
+}
+
+// Fill a style's background; over a video backdrop the fill becomes a translucent tint
+function paintBackground(ctx, width, height, fill, video) {
+  ctx.fillStyle = fill;
+  if (video && drawVideoFrame(ctx, width, height, video)) {
+    ctx.globalAlpha = 0.45;
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+    return;
+  }
+  ctx.fillRect(0, 0, width, height);
+}
+
+// Complete a frame into the scene for a target context of width x height drawing units
+function createScene(frame, ctx, width, height, pixelRatio) {
+  return Object.assign(frame, {
+    ctx,
+    width,
+    height,
+    pixelRatio,
+    params: null,
+    dt: 0,
+    random: null,
+    background: (fill) => paintBackground(ctx, width, height, fill, frame.video)
+  });
+}
+
+// ----- Style instances -----
+
+// A running style with its own random numbers from seed, so it always starts the same way
+function createStyleInstance(id, scene, params, seed) {
+  const style = getStyle(id) || getStyle("florr");
+  const random = createRandom(seed);
+  const state = style.init(Object.assign({}, scene, { params, random, dt: 0 })) || {};
+  return { style, state, params, random, lastTime: scene.time, width: scene.width, height: scene.height };
+}
+
+function disposeStyleInstance(instance) {
+  if (instance && instance.style.dispose) {
+    instance.style.dispose(instance.state);
+  }
+}
+
+// Draw one frame of an instance, telling it first when the output size changed. dt is
+// capped, so a stall doesn't send everything flying.
+function renderStyleInstance(instance, scene) {
+  scene.params = instance.params;
+  scene.random = instance.random;
+  scene.dt = Math.min(0.1, Math.max(0, scene.time - instance.lastTime));
+  instance.lastTime = scene.time;
+  if (instance.width !== scene.width || instance.height !== scene.height) {
+    instance.width = scene.width;
+    instance.height = scene.height;
+    if (instance.style.resize) instance.style.resize(instance.state, scene);
+  }
+  if (scene.beat && instance.style.onBeat) {
+    instance.style.onBeat(instance.state, scene.beat, scene);
+  }
+  instance.style.render(instance.state, scene);
+}
+
+// Draw a layer into its own surface and composite it onto ctx
+function renderLayer(layer, frame, ctx, width, height, pixelRatio) {
+  if (!layer.surface) layer.surface = createRenderSurface();
+  const surface = layer.surface.resize(width, height, pixelRatio);
+  const scene = createScene(Object.assign({}, bandLimitedFrame(frame, layer.bands, frame.edges)), surface.ctx, width, height, pixelRatio);
+  // A layer keeps only what its style draws; the background would hide the layers below
+  scene.background = () => surface.ctx.clearRect(0, 0, width, height);
+  if (!layer.instance) layer.instance = createStyleInstance(layer.style, scene, layer.params, layer.seed);
+  layer.instance.params = layer.params;
+  renderStyleInstance(layer.instance, scene);
+
+  ctx.save();
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  ctx.globalAlpha = layer.opacity;
+  ctx.globalCompositeOperation = layer.blend;
+  ctx.drawImage(surface.canvas, 0, 0);
+  ctx.restore();
+}
+
+// ----- Compositor -----
+
+function createCompositor(canvas) {
+  const ctx = canvas.getContext("2d");
+  const limiter = createFlashLimiter();
+  const surfaces = { from: createRenderSurface(), to: createRenderSurface() };
+  const layers = new Map();   // layer id -> { style, instance, surface, ... }
+  let width = canvas.width;
+  let height = canvas.height;
+  let pixelRatio = 1;
+  let active = null;          // instance of the view's style
+  let outgoing = null;        // instance blending out while a transition runs
+  let transition = null;      // running transition (renderer.js)
+  let lastTime = null;        // time of the last frame drawn
+  let onScreen = false;       // that frame is still showing (no stop since)
+
+  const compositor = {
+    safety: { enabled: true, limiting: false, flashRate: 0 },
+    resize,
+    clear,
+    render,
+    reset,
+    dispose
+  };
+
+  // Size the backing store in device pixels; drawing happens in device / pixelRatio units
+  function resize(deviceWidth, deviceHeight, ratio) {
+    if (canvas.width !== deviceWidth || canvas.height !== deviceHeight) {
+      canvas.width = deviceWidth;
+      canvas.height = deviceHeight;
+    }
+    width = deviceWidth / ratio;
+    height = deviceHeight / ratio;
+    pixelRatio = ratio;
+  }
+
+  function clear(fill) {
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = fill;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.restore();
+  }
+
+  // The current instance blends out; both surfaces start from what is on screen, so
+  // styles that fade their previous frames carry on without a jump
+  function beginTransition(settings, time) {
+    disposeStyleInstance(outgoing);
+    outgoing = active;
+    // It carries on from here even when the clock jumped back
+    outgoing.lastTime = time;
+    [surfaces.from, surfaces.to].forEach(surface => {
+      surface.resize(width, height, pixelRatio);
+      surface.ctx.save();
+      surface.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      surface.ctx.drawImage(canvas, 0, 0);
+      surface.ctx.restore();
+    });
+    transition = createStyleTransition(settings.type, settings.seconds, time);
+  }
+
+  function finishTransition() {
+    disposeStyleInstance(outgoing);
+    outgoing = null;
+    transition = null;
+  }
+
+  // The running layers for the view's layers, matched by id; a layer whose style
+  // changed starts a new instance
+  function syncLayers(viewLayers) {
+    const ids = new Set(viewLayers.map(layer => layer.id));
+    layers.forEach((layer, id) => {
+      if (ids.has(id)) return;
+      disposeStyleInstance(layer.instance);
+      layers.delete(id);
+    });
+    return viewLayers.map((settings, i) => {
+      let layer = layers.get(settings.id);
+      if (layer && layer.style !== settings.style) {
+        disposeStyleInstance(layer.instance);
+        layer.instance = null;
+      }
+      if (!layer) {
+        layer = { instance: null, surface: null };
+        layers.set(settings.id, layer);
+      }
+      // Seeded by style and place in the stack, so a saved stack starts the same way
+      layer.seed = hashSeed(`${settings.style}#${i + 1}`);
+      return Object.assign(layer, settings);
+    });
+  }
+
+  // Draw one frame; returns the flash limiter's state
+  function render(frame, view) {
+    const time = frame.time;
+    if (!frame.level) frame.level = (x) => levelAt(frame.levels, x);
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+
+    // A jump of the clock (a seek, the next track) starts the styles over from their
+    // seeds, so a moment of a track looks the same however it was reached
+    const jumped = lastTime !== null && (time < lastTime || time - lastTime > CLOCK_JUMP);
+    if (jumped) {
+      finishTransition();
+      layers.forEach(layer => {
+        disposeStyleInstance(layer.instance);
+        layer.instance = null;
+      });
+    }
+
+    // A change of style blends from the picture on screen; after a stop there is
+    // nothing to blend from, so it cuts
+    const styleId = (getStyle(view.style) || getStyle("florr")).id;
+    if (active && (active.style.id !== styleId || jumped)) {
+      if (active.style.id !== styleId && onScreen && view.transition.seconds > 0) {
+        beginTransition(view.transition, time);
+      } else {
+        finishTransition();
+        disposeStyleInstance(active);
+      }
+      active = null;
+    }
+    lastTime = time;
+    onScreen = true;
+
+    const baseFrame = bandLimitedFrame(frame, view.bands, frame.edges);
+    if (transition) {
+      // Both styles draw offscreen from the same frame, then the transition blends them
+      const from = surfaces.from.resize(width, height, pixelRatio);
+      const to = surfaces.to.resize(width, height, pixelRatio);
+      const toScene = createScene(Object.assign({}, baseFrame), to.ctx, width, height, pixelRatio);
+      if (!active) active = createStyleInstance(styleId, toScene, view.params, hashSeed(styleId));
+      active.params = view.params;
+      renderStyleInstance(outgoing, createScene(Object.assign({}, baseFrame), from.ctx, width, height, pixelRatio));
+      renderStyleInstance(active, toScene);
+      if (!transition.draw(ctx, from, to, time)) finishTransition();
+    } else {
+      const scene = createScene(Object.assign({}, baseFrame), ctx, width, height, pixelRatio);
+      if (!active) active = createStyleInstance(styleId, scene, view.params, hashSeed(styleId));
+      active.params = view.params;
+      renderStyleInstance(active, scene);
+    }
+    syncLayers(view.layers).forEach(layer => renderLayer(layer, frame, ctx, width, height, pixelRatio));
+
+    if (view.session) drawBreathingGuide(ctx, width, height, view.session);
+
+    // Last, so it sees exactly what is shown (and recorded)
+    if (limiter.enabled !== view.flashLimit) {
+      limiter.enabled = view.flashLimit;
+      limiter.reset();
+    }
+    limiter.process(canvas, time);
+    compositor.safety.enabled = limiter.enabled;
+    compositor.safety.limiting = limiter.limiting;
+    compositor.safety.flashRate = limiter.flashRate;
+    return compositor.safety;
+  }
+
+  // Stopping lands a running transition on the new style, and clears the picture
+  // a later change of style would blend from
+  function reset() {
+    finishTransition();
+    onScreen = false;
+  }
+
+  function dispose() {
+    finishTransition();
+    disposeStyleInstance(active);
+    active = null;
+    layers.forEach(layer => disposeStyleInstance(layer.instance));
+    layers.clear();
+  }
+
+  return compositor;
+}
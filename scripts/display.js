@@ -0,0 +1,145 @@
+// display.js - The on-screen visualizer: the compositor in a worker where possible
+//
+// Handing the canvas to render-worker.js keeps heavy styles from stalling the page,
+// so dragging the progress bar and the params panel stay smooth. Browsers without
+// OffscreenCanvas, and pages opened from file:// (where workers can't load), draw
+// on the main thread instead. Both displays offer the same calls:
+//   resize(deviceWidth, deviceHeight, pixelRatio)
+//   render(frame, view)   - see compositor.js; returns safety
+//   clear(fill), reset(), snapshot() -> Promise<Blob>
+//   safety                - { enabled, limiting, flashRate } from the flash limiter
+//   worker                - whether drawing happens in the worker
+
+const RENDER_WORKER_URL = "scripts/render-worker.js";
+
+function createDisplay(canvas) {
+  if (canvas.transferControlToOffscreen && window.Worker && location.protocol !== "file:") {
+    try {
+      return createWorkerDisplay(canvas);
+    } catch (e) {
+      console.warn("Drawing on the main thread:", e.message);
+    }
+  }
+  return createLocalDisplay(canvas);
+}
+
+function createLocalDisplay(canvas) {
+  const compositor = createCompositor(canvas);
+  return {
+    worker: false,
+    safety: compositor.safety,
+    resize: compositor.resize,
+    render: compositor.render,
+    clear: compositor.clear,
+    reset: compositor.reset,
+    snapshot: () => new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("The picture could not be captured."))), "image/png");
+    })
+  };
+}
+
+function createWorkerDisplay(canvas) {
+  const worker = new Worker(RENDER_WORKER_URL);
+  // The worker loads the styles from the same files as the page
+  const styles = Array.from(document.querySelectorAll("script[src*='scripts/styles/']"), script => script.src);
+  const offscreen = canvas.transferControlToOffscreen();
+  worker.postMessage({ type: "init", canvas: offscreen, styles }, [offscreen]);
+
+  const display = {
+    worker: true,
+    safety: { enabled: true, limiting: false, flashRate: 0 },
+    resize,
+    render,
+    clear,
+    reset,
+    snapshot
+  };
+  let size = "";          // last size posted
+  let busy = false;       // the worker is drawing a frame
+  let missed = null;      // onset and beat of frames dropped while busy
+  const snapshots = [];   // pending snapshot() promises, oldest first
+
+  worker.addEventListener("message", (e) => {
+    const message = e.data;
+    if (message.type === "rendered") {
+      busy = false;
+      Object.assign(display.safety, message.safety);
+    } else if (message.type === "snapshot") {
+      const pending = snapshots.shift();
+      if (message.blob) pending.resolve(message.blob);
+      else pending.reject(new Error(message.error));
+    }
+  });
+  worker.addEventListener("error", (e) => {
+    console.error("Render worker failed:", e.message);
+    busy = false;
+  });
+
+  function resize(deviceWidth, deviceHeight, pixelRatio) {
+    const next = `${deviceWidth}x${deviceHeight}@${pixelRatio}`;
+    if (next === size) return;
+    size = next;
+    worker.postMessage({ type: "resize", width: deviceWidth, height: deviceHeight, pixelRatio });
+  }
+
+  // While the worker is behind, frames are dropped rather than queued, but an onset
+  // or beat in a dropped frame still reaches the styles with the next one
+  function render(frame, view) {
+    if (busy) {
+      missed = {
+        onset: frame.onset || (missed && missed.onset),
+        beat: frame.beat || (missed && missed.beat)
+      };
+      return display.safety;
+    }
+    // Copied now: the analyser reuses its buffers for the next frame
+    const data = {
+      spectrum: frame.spectrum.slice(),
+      waveform: frame.waveform.slice(),
+      bufferLength: frame.bufferLength,
+      sampleRate: frame.sampleRate,
+      levels: Float32Array.from(frame.levels),
+      edges: frame.edges,
+      bands: frame.bands,
+      energy: frame.energy,
+      onset: frame.onset || (missed && missed.onset) || null,
+      beat: frame.beat || (missed && missed.beat) || null,
+      beatPhase: frame.beatPhase,
+      bpm: frame.bpm,
+      time: frame.time,
+      video: null
+    };
+    missed = null;
+    busy = true;
+
+    // The worker can't read a video element, so the backdrop travels as a bitmap
+    if (frame.video && frame.video.readyState >= 2) {
+      createImageBitmap(frame.video)
+        .then(bitmap => {
+          data.video = bitmap;
+          worker.postMessage({ type: "frame", frame: data, view }, [bitmap]);
+        })
+        .catch(() => worker.postMessage({ type: "frame", frame: data, view }));
+    } else {
+      worker.postMessage({ type: "frame", frame: data, view });
+    }
+    return display.safety;
+  }
+
+  function clear(fill) {
+    worker.postMessage({ type: "clear", fill });
+  }
+
+  function reset() {
+    worker.postMessage({ type: "reset" });
+  }
+
+  function snapshot() {
+    return new Promise((resolve, reject) => {
+      snapshots.push({ resolve, reject });
+      worker.postMessage({ type: "snapshot" });
+    });
+  }
+
+  return display;
+}
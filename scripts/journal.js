@@ -0,0 +1,190 @@
+// journal.js - Mood journal: before/after check-ins kept on this device in IndexedDB
+//
+// One entry per listening stretch (Start until Stop or the end of the queue):
+//   {
+//     id, startedAt, endedAt,          // ISO timestamps
+//     duration,                        // seconds
+//     tracks: ["a.mp3", ...],          // names in play order
+//     styles: ["florr", ...],          // styles shown
+//     session: "calm" | null,          // guided session goal, if one ran
+//     before: { mood, energy } | null, // 1..10 each; null when skipped
+//     after: { mood, energy } | null
+//   }
+
+const JOURNAL_DB = "substrata";
+const JOURNAL_STORE = "journal";
+
+let journalDbPromise = null;
+
+function openJournal() {
+  if (!journalDbPromise) {
+    journalDbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("This browser can't store the journal (IndexedDB is unavailable)."));
+        return;
+      }
+      const request = indexedDB.open(JOURNAL_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(JOURNAL_STORE, { keyPath: "id", autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again after a failure
+    journalDbPromise.catch(() => { journalDbPromise = null; });
+  }
+  return journalDbPromise;
+}
+
+// Run fn(store) in a transaction; resolves to the result of the request fn returns
+async function journalTransaction(mode, fn) {
+  const db = await openJournal();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(JOURNAL_STORE, mode);
+    const request = fn(tx.objectStore(JOURNAL_STORE));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function addJournalEntry(entry) {
+  return journalTransaction("readwrite", store => store.add(entry));
+}
+
+// Oldest first
+function listJournalEntries() {
+  return journalTransaction("readonly", store => store.getAll());
+}
+
+function clearJournal() {
+  return journalTransaction("readwrite", store => store.clear());
+}
+
+// ----- Export -----
+
+function journalCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function journalToCSV(entries) {
+  const header = ["started", "ended", "duration_s", "tracks", "styles", "session",
+    "mood_before", "energy_before", "mood_after", "energy_after"];
+  const rows = entries.map(e => [
+    e.startedAt,
+    e.endedAt,
+    Math.round(e.duration),
+    e.tracks.join("; "),
+    e.styles.join("; "),
+    e.session || "",
+    e.before ? e.before.mood : "",
+    e.before ? e.before.energy : "",
+    e.after ? e.after.mood : "",
+    e.after ? e.after.energy : ""
+  ]);
+  return [header].concat(rows).map(row => row.map(journalCsvField).join(",")).join("\n") + "\n";
+}
+
+// ----- Trend chart -----
+// Each entry is a column: a line from the before to the after check-in for mood and
+// for energy, so improvements read as lines going up. A dashed line follows the
+// average mood after listening.
+
+const JOURNAL_COLORS = { mood: "#2d4373", energy: "#e08a1e" };
+
+function drawJournalChart(canvas, entries, maxEntries = 30) {
+  const ctx = canvas.getContext("2d");
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth || 600;
+  const height = canvas.clientHeight || 220;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+
+  const shown = entries.slice(-maxEntries);
+  const left = 28;
+  const right = 10;
+  const top = 22;
+  const bottom = 20;
+  const plotW = width - left - right;
+  const plotH = height - top - bottom;
+  const y = value => top + plotH * (1 - (value - 1) / 9);
+  const x = i => left + plotW * (shown.length > 1 ? i / (shown.length - 1) : 0.5);
+
+  // Axes and grid
+  ctx.font = "11px sans-serif";
+  ctx.textAlign = "right";
+  ctx.textBaseline = "middle";
+  [1, 4, 7, 10].forEach(v => {
+    ctx.strokeStyle = "#ddd";
+    ctx.beginPath();
+    ctx.moveTo(left, y(v));
+    ctx.lineTo(width - right, y(v));
+    ctx.stroke();
+    ctx.fillStyle = "#777";
+    ctx.fillText(String(v), left - 6, y(v));
+  });
+
+  ctx.textAlign = "left";
+  ctx.fillStyle = JOURNAL_COLORS.mood;
+  ctx.fillText("\u25CF Mood", left, 10);
+  ctx.fillStyle = JOURNAL_COLORS.energy;
+  ctx.fillText("\u25CF Energy", left + 70, 10);
+  ctx.fillStyle = "#777";
+  ctx.fillText("\u25CB before  \u25CF after", left + 150, 10);
+
+  if (!shown.length) {
+    ctx.textAlign = "center";
+    ctx.fillText("No check-ins yet", left + plotW / 2, top + plotH / 2);
+    return;
+  }
+
+  [["mood", -3], ["energy", 3]].forEach(([key, offset]) => {
+    ctx.strokeStyle = JOURNAL_COLORS[key];
+    ctx.fillStyle = JOURNAL_COLORS[key];
+    ctx.lineWidth = 2;
+    shown.forEach((e, i) => {
+      const cx = x(i) + offset;
+      const before = e.before ? e.before[key] : null;
+      const after = e.after ? e.after[key] : null;
+      if (before !== null && after !== null) {
+        ctx.beginPath();
+        ctx.moveTo(cx, y(before));
+        ctx.lineTo(cx, y(after));
+        ctx.stroke();
+      }
+      if (before !== null) {
+        ctx.beginPath();
+        ctx.arc(cx, y(before), 3, 0, Math.PI * 2);
+        ctx.fillStyle = "#fff";
+        ctx.fill();
+        ctx.stroke();
+        ctx.fillStyle = JOURNAL_COLORS[key];
+      }
+      if (after !== null) {
+        ctx.beginPath();
+        ctx.arc(cx, y(after), 3.5, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    });
+  });
+
+  // Running average of mood after listening, over the last five entries that have one
+  const points = [];
+  shown.forEach((e, i) => {
+    const recent = shown.slice(Math.max(0, i - 4), i + 1).filter(r => r.after);
+    if (recent.length) points.push([x(i), y(recent.reduce((sum, r) => sum + r.after.mood, 0) / recent.length)]);
+  });
+  if (points.length > 1) {
+    ctx.save();
+    ctx.setLineDash([4, 4]);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = JOURNAL_COLORS.mood;
+    ctx.beginPath();
+    points.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+    ctx.stroke();
+    ctx.restore();
+  }
+}
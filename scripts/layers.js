@@ -0,0 +1,123 @@
+// layers.js - Layer stack: more styles composited over the current one
+//
+// The current style is the bottom layer and draws straight onto the visualizer.
+// Each layer above it draws into its own surface (renderer.js), which is then
+// composited with the layer's opacity and blend mode. Every layer, the bottom one
+// included, can follow just part of the spectrum. A layer is stored as:
+//
+//   { style: "galaxy", opacity: 1, blend: "screen", bands: "highs", params: { ... } }
+//
+// While the page is open each layer also has an id, which lets the compositor keep
+// the layer's running instance across frames (compositor.js).
+
+const MAX_LAYERS = 4;
+let nextLayerId = 1;
+
+// Canvas globalCompositeOperation values offered for layers
+const LAYER_BLEND_MODES = {
+  "source-over": "Normal",
+  screen: "Screen",
+  lighter: "Add",
+  multiply: "Multiply",
+  overlay: "Overlay",
+  "soft-light": "Soft light",
+  difference: "Difference"
+};
+
+const LAYER_BANDS = {
+  all: { label: "All bands", minHz: 0, maxHz: Infinity },
+  bass: { label: "Bass", minHz: 0, maxHz: 250 },
+  mids: { label: "Mids", minHz: 250, maxHz: 4000 },
+  highs: { label: "Highs", minHz: 4000, maxHz: Infinity }
+};
+
+// A layer with its own copy of the style's params; options may leave anything out
+function createLayer(styleId, options = {}) {
+  const style = getStyle(styleId) || getStyle("florr");
+  return {
+    id: nextLayerId++,
+    style: style.id,
+    opacity: typeof options.opacity === "number" ? Math.min(1, Math.max(0, options.opacity)) : 1,
+    blend: LAYER_BLEND_MODES[options.blend] ? options.blend : "screen",
+    bands: LAYER_BANDS[options.bands] ? options.bands : "all",
+    params: Object.assign(defaultStyleParams(style), options.params)
+  };
+}
+
+// A clean copy of stored layer data; throws when the style is unknown
+function validateLayer(data) {
+  if (!data || typeof data !== "object") throw new Error("A layer must be an object.");
+  const style = getStyle(data.style);
+  if (!style) throw new Error(`Unknown style "${data.style}".`);
+  const params = {};
+  Object.keys(data.params || {}).forEach(name => {
+    const param = style.params[name];
+    const value = param ? normalizeParamValue(param, data.params[name]) : undefined;
+    if (value !== undefined) params[name] = value;
+  });
+  return createLayer(style.id, { opacity: data.opacity, blend: data.blend, bands: data.bands, params });
+}
+
+// What gets saved: the settings without the id
+function layerSettings(layer) {
+  return {
+    style: layer.style,
+    opacity: layer.opacity,
+    blend: layer.blend,
+    bands: layer.bands,
+    params: Object.assign({}, layer.params)
+  };
+}
+
+// ----- Frequency bands -----
+
+// The frame as heard through one of LAYER_BANDS. levels, level(x), bands and energy
+// cover only the bands inside the range, and the spectrum is stretched so the range
+// fills all of it. edges are the band edges in Hz from the band analyser.
+function bandLimitedFrame(frame, bandsId, edges) {
+  const range = LAYER_BANDS[bandsId];
+  if (!range || bandsId === "all" || !edges || edges.length !== frame.levels.length + 1) return frame;
+
+  const picked = [];
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  for (let i = 0; i < frame.levels.length; i++) {
+    const center = Math.sqrt(edges[i] * edges[i + 1]);
+    if (center >= range.minHz && center < range.maxHz) picked.push(frame.levels[i]);
+    // With very few bands none may fall inside; then the closest one stands in
+    const distance = Math.abs(Math.log(center / Math.min(Math.max(center, range.minHz || 1), range.maxHz)));
+    if (distance < nearestDistance) {
+      nearest = i;
+      nearestDistance = distance;
+    }
+  }
+  if (!picked.length) picked.push(frame.levels[nearest]);
+
+  const levels = Float32Array.from(picked);
+  const count = levels.length;
+  const level = (x) => levelAt(levels, x);
+  const bands = [];
+  for (let g = 0; g < 4; g++) {
+    const from = Math.min(count - 1, Math.floor((g * count) / 4));
+    const to = Math.max(from + 1, Math.floor(((g + 1) * count) / 4));
+    let sum = 0;
+    for (let b = from; b < to; b++) sum += levels[b];
+    bands.push(sum / (to - from));
+  }
+
+  const binHz = frame.sampleRate / 2 / frame.bufferLength;
+  const firstBin = Math.min(frame.bufferLength - 1, Math.floor(range.minHz / binHz));
+  const lastBin = Math.min(frame.bufferLength, Math.max(firstBin + 1, Math.ceil(range.maxHz / binHz)));
+  const spectrum = new Uint8Array(frame.bufferLength);
+  for (let i = 0; i < spectrum.length; i++) {
+    spectrum[i] = frame.spectrum[firstBin + Math.floor((i * (lastBin - firstBin)) / spectrum.length)];
+  }
+
+  return Object.assign({}, frame, {
+    spectrum,
+    levels,
+    level,
+    bands,
+    energy: levels.reduce((sum, value) => sum + value, 0) / count
+  });
+}
@@ -0,0 +1,336 @@
+// particles.js - Particle engine for styles: pooling, emitters, forces, lifetimes
+// and a spatial grid for neighbor queries
+//
+//   const system = createParticleSystem({ capacity: 500, edges: "bounce", cellSize: 100 });
+//   system.resize(scene.width, scene.height);
+//   system.addForce(dragForce(0.5));
+//   system.spawn(p => { p.x = 10; p.y = 20; p.vx = 30; });   // or through an emitter
+//   system.update(scene.dt);                                 // once per frame
+//   system.particles.forEach(p => ...);                      // draw
+//   system.forEachPair(100, (a, b, distance) => ...);        // connections
+//
+// Particles are plain objects taken from a pool and handed back when they die, so
+// a steady stream of them allocates nothing. Positions are in drawing units and
+// velocities in units per second. Besides x, y, vx, vy, size, age and life (seconds,
+// Infinity = forever) a style may keep its own fields on a particle: spawn() resets
+// only the standard ones, so an init function should set every field it reads.
+
+// ----- Forces -----
+// A force is { apply(p, dt) } and may have end(), called once after each update.
+// The factories return objects whose fields can be changed every frame, so the
+// music can drive them.
+
+function gravityForce(x, y) {
+  return {
+    x,
+    y,
+    apply(p, dt) {
+      p.vx += this.x * dt;
+      p.vy += this.y * dt;
+    }
+  };
+}
+
+// amount is the share of velocity lost per second, roughly (exponential decay rate)
+function dragForce(amount) {
+  return {
+    amount,
+    apply(p, dt) {
+      const k = Math.exp(-this.amount * dt);
+      p.vx *= k;
+      p.vy *= k;
+    }
+  };
+}
+
+// Pulls toward (x, y) with strength (units/s^2) fading to nothing at radius;
+// a negative strength pushes away
+function attractorForce(x, y, strength, radius) {
+  return {
+    x,
+    y,
+    strength,
+    radius,
+    apply(p, dt) {
+      const dx = this.x - p.x;
+      const dy = this.y - p.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance < 1 || distance > this.radius) return;
+      const pull = (this.strength * (1 - distance / this.radius) * dt) / distance;
+      p.vx += dx * pull;
+      p.vy += dy * pull;
+    }
+  };
+}
+
+// A one-off push for beats and onsets: trigger() adds velocity on the next update
+// only. With a center it pushes away from it (a negative strength pulls in),
+// otherwise along (dx, dy). spread adds that much random velocity as well, drawn
+// from random, which is required so styles stay deterministic: pass scene.random.
+function impulseForce(random) {
+  if (typeof random !== "function") {
+    throw new TypeError("impulseForce: pass a random number generator, e.g. scene.random");
+  }
+  return {
+    pending: null,
+    trigger(strength, options = {}) {
+      this.pending = {
+        strength,
+        center: options.center || null,
+        dx: options.dx || 0,
+        dy: options.dy || 0,
+        spread: options.spread || 0
+      };
+    },
+    apply(p) {
+      const push = this.pending;
+      if (!push) return;
+      if (push.center) {
+        const dx = p.x - push.center.x;
+        const dy = p.y - push.center.y;
+        const distance = Math.sqrt(dx * dx + dy * dy) || 1;
+        p.vx += (dx / distance) * push.strength;
+        p.vy += (dy / distance) * push.strength;
+      } else {
+        p.vx += push.dx * push.strength;
+        p.vy += push.dy * push.strength;
+      }
+      if (push.spread) {
+        p.vx += (random() - 0.5) * push.spread;
+        p.vy += (random() - 0.5) * push.spread;
+      }
+    },
+    end() {
+      this.pending = null;
+    }
+  };
+}
+
+// ----- Emitters -----
+// Spawns rate particles per second (fractions carry over between frames); init(p)
+// sets up each new particle. burst() spawns a number at once.
+
+function createEmitter(rate, init) {
+  return { rate, init, carry: 0 };
+}
+
+// ----- Spatial grid -----
+// Buckets particles by cell so neighbor queries only look at nearby cells. Queries
+// with a radius up to cellSize see every neighbor; larger ones only those that
+// fall in the adjacent cells.
+
+function createSpatialGrid(cellSize) {
+  const buckets = [];
+  let used = [];        // indexes of non-empty buckets
+  let cols = 0;
+  let rows = 0;
+  let left = 0;
+  let top = 0;
+
+  function cellOf(value, origin, count) {
+    return Math.min(count - 1, Math.max(0, Math.floor((value - origin) / cellSize)));
+  }
+
+  function rebuild(particles, bounds) {
+    used.forEach(i => { buckets[i].length = 0; });
+    used = [];
+    cols = Math.max(1, Math.ceil(bounds.width / cellSize));
+    rows = Math.max(1, Math.ceil(bounds.height / cellSize));
+    left = bounds.x;
+    top = bounds.y;
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      const cell = cellOf(p.y, top, rows) * cols + cellOf(p.x, left, cols);
+      if (!buckets[cell]) buckets[cell] = [];
+      if (!buckets[cell].length) used.push(cell);
+      buckets[cell].push(p);
+    }
+  }
+
+  // fn(p, distance) for every particle within radius of (x, y)
+  function query(x, y, radius, fn) {
+    const x0 = cellOf(x - radius, left, cols);
+    const x1 = cellOf(x + radius, left, cols);
+    const y0 = cellOf(y - radius, top, rows);
+    const y1 = cellOf(y + radius, top, rows);
+    const r2 = radius * radius;
+    for (let cy = y0; cy <= y1; cy++) {
+      for (let cx = x0; cx <= x1; cx++) {
+        const bucket = buckets[cy * cols + cx];
+        if (!bucket) continue;
+        for (let i = 0; i < bucket.length; i++) {
+          const dx = bucket[i].x - x;
+          const dy = bucket[i].y - y;
+          const d2 = dx * dx + dy * dy;
+          if (d2 <= r2) fn(bucket[i], Math.sqrt(d2));
+        }
+      }
+    }
+  }
+
+  function pairsBetween(a, b, same, r2, fn) {
+    for (let i = 0; i < a.length; i++) {
+      for (let j = same ? i + 1 : 0; j < b.length; j++) {
+        const dx = a[i].x - b[j].x;
+        const dy = a[i].y - b[j].y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 <= r2) fn(a[i], b[j], Math.sqrt(d2));
+      }
+    }
+  }
+
+  // fn(a, b, distance) once for every pair within radius: each cell is paired with
+  // itself and the neighbors after it, so no pair comes up twice
+  function forEachPair(radius, fn) {
+    const r2 = radius * radius;
+    used.forEach(cell => {
+      const cx = cell % cols;
+      const cy = Math.floor(cell / cols);
+      const bucket = buckets[cell];
+      pairsBetween(bucket, bucket, true, r2, fn);
+      [[1, 0], [-1, 1], [0, 1], [1, 1]].forEach(([ox, oy]) => {
+        const nx = cx + ox;
+        const ny = cy + oy;
+        if (nx < 0 || nx >= cols || ny >= rows) return;
+        const other = buckets[ny * cols + nx];
+        if (other && other.length) pairsBetween(bucket, other, false, r2, fn);
+      });
+    });
+  }
+
+  return { cellSize, rebuild, query, forEachPair };
+}
+
+// ----- Particle system -----
+// options:
+//   capacity  - most particles alive at once; spawn() returns null beyond it
+//   edges     - what happens at the bounds: "bounce", "wrap", "remove" or "none"
+//   cellSize  - size of the spatial grid cells; without it there are no neighbor queries
+
+function createParticleSystem(options = {}) {
+  const capacity = options.capacity || 1000;
+  const particles = [];   // alive
+  const pool = [];        // dead, ready for reuse
+  const forces = [];
+  const emitters = [];
+  const bounds = { x: 0, y: 0, width: 0, height: 0 };
+  const grid = options.cellSize ? createSpatialGrid(options.cellSize) : null;
+
+  const system = {
+    particles,
+    bounds,
+    edges: options.edges || "none",
+    resize,
+    setBounds,
+    spawn,
+    remove,
+    trim,
+    clear,
+    addForce: (force) => { forces.push(force); return force; },
+    addEmitter: (emitter) => { emitters.push(emitter); return emitter; },
+    burst,
+    update,
+    query: (x, y, radius, fn) => grid && grid.query(x, y, radius, fn),
+    forEachPair: (radius, fn) => grid && grid.forEachPair(radius, fn)
+  };
+
+  function resize(width, height) {
+    setBounds(0, 0, width, height);
+  }
+
+  function setBounds(x, y, width, height) {
+    bounds.x = x;
+    bounds.y = y;
+    bounds.width = width;
+    bounds.height = height;
+  }
+
+  // A particle from the pool with the standard fields reset, set up by init(p)
+  function spawn(init) {
+    if (particles.length >= capacity) return null;
+    const p = pool.pop() || {};
+    p.x = 0;
+    p.y = 0;
+    p.vx = 0;
+    p.vy = 0;
+    p.size = 1;
+    p.age = 0;
+    p.life = Infinity;
+    if (init) init(p);
+    particles.push(p);
+    return p;
+  }
+
+  // Swap with the last one: order isn't kept, but removal costs nothing
+  function removeAt(i) {
+    const p = particles[i];
+    particles[i] = particles[particles.length - 1];
+    particles.pop();
+    pool.push(p);
+  }
+
+  function remove(p) {
+    const i = particles.indexOf(p);
+    if (i >= 0) removeAt(i);
+  }
+
+  // Drop particles until at most count are left
+  function trim(count) {
+    while (particles.length > Math.max(0, count)) removeAt(particles.length - 1);
+  }
+
+  function clear() {
+    trim(0);
+    emitters.forEach(emitter => { emitter.carry = 0; });
+  }
+
+  function burst(emitter, count) {
+    for (let i = 0; i < count; i++) {
+      if (!spawn(emitter.init)) break;
+    }
+  }
+
+  // Keep p inside the bounds; returns false when it should go
+  function applyEdges(p) {
+    const right = bounds.x + bounds.width;
+    const bottom = bounds.y + bounds.height;
+    if (system.edges === "bounce") {
+      if (p.x < bounds.x) { p.x = bounds.x; p.vx = Math.abs(p.vx); }
+      if (p.x > right) { p.x = right; p.vx = -Math.abs(p.vx); }
+      if (p.y < bounds.y) { p.y = bounds.y; p.vy = Math.abs(p.vy); }
+      if (p.y > bottom) { p.y = bottom; p.vy = -Math.abs(p.vy); }
+    } else if (system.edges === "wrap") {
+      if (p.x < bounds.x) p.x += bounds.width;
+      if (p.x > right) p.x -= bounds.width;
+      if (p.y < bounds.y) p.y += bounds.height;
+      if (p.y > bottom) p.y -= bounds.height;
+    } else if (system.edges === "remove") {
+      return p.x >= bounds.x - p.size && p.x <= right + p.size && p.y >= bounds.y - p.size && p.y <= bottom + p.size;
+    }
+    return true;
+  }
+
+  // Advance dt seconds: emit, apply forces, move, age and retire
+  function update(dt) {
+    emitters.forEach(emitter => {
+      emitter.carry += emitter.rate * dt;
+      const count = Math.floor(emitter.carry);
+      emitter.carry -= count;
+      burst(emitter, count);
+    });
+
+    for (let i = particles.length - 1; i >= 0; i--) {
+      const p = particles[i];
+      for (let f = 0; f < forces.length; f++) forces[f].apply(p, dt);
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      p.age += dt;
+      if (p.age >= p.life || !applyEdges(p)) removeAt(i);
+    }
+    forces.forEach(force => { if (force.end) force.end(); });
+
+    if (grid) grid.rebuild(particles, bounds);
+  }
+
+  return system;
+}
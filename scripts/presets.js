@@ -0,0 +1,164 @@
+// presets.js - Named looks: a style, its params and the analysis settings
+//
+// A preset only holds source-independent state, so it can be saved in the browser,
+// exported as a JSON file, shared as a link or kept in the team library
+// (presets/library.json):
+//
+//   {
+//     version: 1,
+//     name: "Slow aurora",
+//     style: "aurora",
+//     params: { speed: 0.5, glow: 1.2 },          // missing params use the defaults
+//     bands: "all",                               // frequencies the style follows (layers.js)
+//     layers: [{ style: "galaxy", opacity: 1, blend: "screen", bands: "highs", params: {} }],
+//     analysis: { bandCount: 32, attack: 0.05 }   // missing settings stay as they are
+//   }
+//
+// bands and layers describe the layer stack; presets without them show the style alone.
+
+const PRESET_VERSION = 1;
+const PRESET_STORAGE_KEY = "substrata.presets";
+const PRESET_HASH_PREFIX = "#preset=";
+const PRESET_LIBRARY_URL = "presets/library.json";
+
+// Accepted values for each analysis setting that presets carry
+const PRESET_ANALYSIS_FIELDS = {
+  bandCount: value => [4, 8, 16, 32, 64].includes(value),
+  scale: value => ["log", "mel", "octave", "linear"].includes(value),
+  fftSize: value => [512, 1024, 2048, 4096, 8192].includes(value),
+  attack: value => typeof value === "number" && value >= 0.005 && value <= 0.3,
+  release: value => typeof value === "number" && value >= 0.05 && value <= 1.5,
+  autoGain: value => typeof value === "boolean"
+};
+
+// stack is { bands, layers } with layers as saved by layerSettings
+function capturePreset(name, style, params, analysisSettings, stack = { bands: "all", layers: [] }) {
+  const analysis = {};
+  Object.keys(PRESET_ANALYSIS_FIELDS).forEach(key => {
+    analysis[key] = analysisSettings[key];
+  });
+  return {
+    version: PRESET_VERSION,
+    name,
+    style,
+    params: Object.assign({}, params),
+    bands: stack.bands,
+    layers: stack.layers.map(layerSettings),
+    analysis
+  };
+}
+
+// A clean copy of data with everything this build doesn't know dropped.
+// Throws when data can't be a preset at all.
+function validatePreset(data) {
+  if (!data || typeof data !== "object") throw new Error("A preset must be a JSON object.");
+  if (data.version > PRESET_VERSION) throw new Error("This preset was made by a newer version.");
+  const style = getStyle(data.style);
+  if (!style) throw new Error(`Unknown style "${data.style}".`);
+
+  const params = {};
+  Object.keys(data.params || {}).forEach(name => {
+    const param = style.params[name];
+    const value = param ? normalizeParamValue(param, data.params[name]) : undefined;
+    if (value !== undefined) params[name] = value;
+  });
+
+  // A layer this build can't show is left out rather than failing the whole preset
+  const layers = [];
+  (Array.isArray(data.layers) ? data.layers : []).slice(0, MAX_LAYERS).forEach(layer => {
+    try {
+      layers.push(layerSettings(validateLayer(layer)));
+    } catch (e) {
+      console.warn("Skipping preset layer:", e.message);
+    }
+  });
+  const bands = LAYER_BANDS[data.bands] ? data.bands : "all";
+
+  const analysis = {};
+  Object.keys(data.analysis || {}).forEach(key => {
+    const accepts = PRESET_ANALYSIS_FIELDS[key];
+    if (accepts && accepts(data.analysis[key])) analysis[key] = data.analysis[key];
+  });
+
+  const name = typeof data.name === "string" && data.name.trim() ? data.name.trim() : style.label;
+  return { version: PRESET_VERSION, name, style: style.id, params, bands, layers, analysis };
+}
+
+// ----- Sharing -----
+
+// URL-safe base64 of the UTF-8 JSON, so names in any language survive the link
+function encodePresetHash(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset));
+  let binary = "";
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return PRESET_HASH_PREFIX + btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+// The preset in a location hash, or null when the hash holds none
+function decodePresetHash(hash) {
+  if (!hash || !hash.startsWith(PRESET_HASH_PREFIX)) return null;
+  const encoded = hash.slice(PRESET_HASH_PREFIX.length).replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(encoded);
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return validatePreset(JSON.parse(new TextDecoder().decode(bytes)));
+}
+
+// ----- Storage -----
+
+// Saved presets, newest first; broken entries are skipped
+function loadSavedPresets() {
+  let stored = [];
+  try {
+    stored = JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || [];
+  } catch (e) {
+    console.warn("Could not read saved presets:", e);
+  }
+  const presets = [];
+  (Array.isArray(stored) ? stored : []).forEach(data => {
+    try {
+      presets.push(validatePreset(data));
+    } catch (e) {
+      console.warn("Skipping saved preset:", e.message);
+    }
+  });
+  return presets;
+}
+
+function writeSavedPresets(presets) {
+  localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// Saving under an existing name replaces that preset
+function savePreset(preset) {
+  const presets = loadSavedPresets().filter(p => p.name !== preset.name);
+  presets.unshift(preset);
+  writeSavedPresets(presets);
+  return presets;
+}
+
+function deletePreset(name) {
+  const presets = loadSavedPresets().filter(p => p.name !== name);
+  writeSavedPresets(presets);
+  return presets;
+}
+
+// The shared library; resolves to [] when it can't be fetched (e.g. opened from file://)
+async function fetchPresetLibrary(url = PRESET_LIBRARY_URL) {
+  try {
+    const response = await fetch(url, { cache: "no-cache" });
+    if (!response.ok) return [];
+    const data = await response.json();
+    const presets = [];
+    (data.presets || []).forEach(entry => {
+      try {
+        presets.push(validatePreset(entry));
+      } catch (e) {
+        console.warn("Skipping library preset:", e.message);
+      }
+    });
+    return presets;
+  } catch (e) {
+    console.warn("Preset library unavailable:", e.message);
+    return [];
+  }
+}
@@ -0,0 +1,191 @@
+// registry.js - Style registry: every visualization style registers itself here
+//
+// Styles live in scripts/styles/ and are loaded by index.html before app.js:
+//
+//   registerStyle({
+//     id: "florr",                  // unique key used by buttons, queue entries and exports
+//     label: "Florr",               // button text
+//     tags: ["calm", "nature"],     // moods, for picking a style by description (assistant.js)
+//     params: {                     // tunable values, passed to the style as scene.params
+//       petalCount: { default: 12, min: 3, max: 36, step: 1, label: "Petals", tags: ["density"] },
+//       centerColor: { type: "color", default: "#ebeb47", label: "Center" },
+//       glow: { type: "toggle", default: true, label: "Glow" }
+//     },
+//     init(scene) { return {}; },   // style becomes active; returns the state it owns
+//     render(state, scene) {},      // draw one frame
+//     resize(state, scene) {},      // optional: output size changed
+//     dispose(state) {},            // optional: style deactivated
+//     onBeat(state, beat, scene) {} // optional: called before render on frames where a beat lands
+//   });
+//
+// The page also loads every style file into render-worker.js, where the on-screen
+// drawing happens when the browser allows. Styles therefore stay away from document
+// and window; createCanvas() gives them an offscreen canvas in either place.
+//
+// The scene handed to init/render/resize describes one frame:
+//   ctx, width, height  - 2D context and its size in drawing units
+//   pixelRatio          - device pixels per drawing unit
+//   spectrum            - analyser frequency bytes, bufferLength entries
+//   waveform            - analyser time-domain bytes (128 = silence), waveform.length entries
+//   sampleRate          - sample rate of the analysed audio, Hz
+//   levels              - smoothed, gain-normalized band levels 0..1, low to high (analysis.js)
+//   level(x)            - levels interpolated at x, 0 = lowest band .. 1 = highest
+//   bands, energy       - levels folded into 4 coarse bands, and overall loudness, 0..1
+//   onset               - null, or { strength, low, high } on the frame a transient starts
+//   beat                - null, or { strength, bpm } on the frame a beat lands
+//   beatPhase, bpm      - position between beats (0..1) and the tempo estimate (0 = unknown)
+//   time                - seconds on the animation clock: the track's position, so it
+//                         stands still while paused and jumps with a seek
+//   dt                  - seconds since this style's previous frame (0 on its first)
+//   random()            - this style's seeded random numbers, 0..1 (see below)
+//   params              - this style's parameter values
+//   video               - video element drawn as the backdrop, or null
+//   background(fill)    - paints the frame background (shows a video backdrop when active)
+//
+// Animation is driven by time and dt alone, never by counting frames or reading a
+// clock, so it runs at the same pace at any frame rate. Styles use scene.random()
+// instead of Math.random(): each running style draws from its own generator, seeded
+// from its id, and a jump of the clock starts it over (compositor.js). The same track
+// and preset therefore always draw the same frames.
+//
+// Params are numbers (a slider from min to max) unless type says otherwise: "color"
+// values are "#rrggbb" strings, "toggle" values are booleans and "choice" values are
+// keys of options, which maps each key to its label in a drop-down. The params panel
+// edits them while the style runs, so styles read scene.params every frame.
+//
+// Param tags say what a value does, so a request like "slower" or "fewer" finds it:
+//   speed, density, size, brightness, saturation, intensity, warmth (-1 cool .. 1 warm)
+
+const styleRegistry = new Map();
+const styleRegistryListeners = [];
+
+function registerStyle(definition) {
+  if (!definition || !definition.id || typeof definition.render !== "function") {
+    console.error("registerStyle: a style needs an id and a render function", definition);
+    return;
+  }
+  if (styleRegistry.has(definition.id)) {
+    console.warn(`registerStyle: replacing style "${definition.id}"`);
+  }
+
+  const style = Object.assign({ label: definition.id, tags: [], params: {}, hidden: false }, definition);
+  styleRegistry.set(style.id, style);
+  styleRegistryListeners.forEach(listener => listener(style));
+}
+
+function getStyle(id) {
+  return styleRegistry.get(id) || null;
+}
+
+// Styles in registration (script) order
+function listStyles() {
+  return Array.from(styleRegistry.values());
+}
+
+// Called for every style registered from now on
+function onStyleRegistered(listener) {
+  styleRegistryListeners.push(listener);
+}
+
+function defaultStyleParams(style) {
+  const values = {};
+  Object.keys(style.params).forEach(name => {
+    values[name] = style.params[name].default;
+  });
+  return values;
+}
+
+// "range" | "color" | "toggle" | "choice"
+function paramType(param) {
+  return param.type || "range";
+}
+
+// value coerced to what param accepts, or undefined if it can't be
+function normalizeParamValue(param, value) {
+  const type = paramType(param);
+  if (type === "toggle") {
+    return typeof value === "boolean" ? value : undefined;
+  }
+  if (type === "color") {
+    return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? value.toLowerCase() : undefined;
+  }
+  if (type === "choice") {
+    return typeof value === "string" && Object.prototype.hasOwnProperty.call(param.options, value) ? value : undefined;
+  }
+  const number = Number(value);
+  if (value === null || value === "" || !Number.isFinite(number)) return undefined;
+  let result = Math.min(param.max, Math.max(param.min, number));
+  if (param.step) {
+    result = param.min + Math.round((result - param.min) / param.step) * param.step;
+    const decimals = (String(param.step).split(".")[1] || "").length;
+    result = parseFloat(result.toFixed(decimals));
+  }
+  return result;
+}
+
+function paramHasTag(param, tag) {
+  return Boolean(param.tags && param.tags.includes(tag));
+}
+
+// ----- Style helpers -----
+
+// A canvas for drawing offscreen; styles also run in render-worker.js, which has no document
+function createCanvas(width = 300, height = 150) {
+  if (typeof document === "undefined") return new OffscreenCanvas(width, height);
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+// Small deterministic PRNG (mulberry32): the same seed always gives the same sequence
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// A seed from a string (FNV-1a)
+function hashSeed(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Stable 0..1 value for three integers, for choices that must not flicker between frames
+function stableRandom(a, b, c) {
+  let h = Math.imul(a, 374761393) + Math.imul(b, 668265263) + Math.imul(c, 2147483647);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+// Adds the position passed at time to trail, about 1/60 s after the last one at
+// most, and drops positions older than seconds. A trail then covers the same time,
+// with about the same number of points, at any frame rate.
+const TRAIL_STEP = 1 / 60;
+function recordTrail(trail, x, y, time, seconds) {
+  const last = trail[trail.length - 1];
+  if (!last || time - last.time > TRAIL_STEP * 0.9) trail.push({ x, y, time });
+  while (trail.length && time - trail[0].time > seconds) trail.shift();
+}
+
+// "#rrggbb" as an rgba() string with the given alpha
+function hexToRgba(hex, alpha) {
+  const value = parseInt(hex.slice(1), 16);
+  return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, ${alpha})`;
+}
+
+// Pull a hue toward amber (warmth > 0) or blue (warmth < 0) by the shortest way round
+function warmHue(hue, warmth) {
+  if (!warmth) return hue;
+  const target = warmth > 0 ? 35 : 215;
+  const delta = ((target - hue) % 360 + 540) % 360 - 180;
+  return ((hue + delta * Math.min(1, Math.abs(warmth))) % 360 + 360) % 360;
+}
@@ -0,0 +1,39 @@
+// render-worker.js - Runs the compositor on the visualizer canvas, off the main thread
+//
+// display.js transfers the canvas here, then posts every frame's analysis with the
+// view to draw (compositor.js). After each frame the worker answers with the flash
+// limiter's state, which also tells the page it is ready for the next one.
+
+importScripts("registry.js", "particles.js", "analysis.js", "renderer.js", "layers.js", "session.js", "safety.js", "compositor.js");
+
+let canvas = null;
+let compositor = null;
+
+self.addEventListener("message", (e) => {
+  const message = e.data;
+  if (message.type === "init") {
+    // Style files register themselves, as on the page
+    importScripts(...message.styles);
+    canvas = message.canvas;
+    compositor = createCompositor(canvas);
+  } else if (message.type === "resize") {
+    compositor.resize(message.width, message.height, message.pixelRatio);
+  } else if (message.type === "frame") {
+    try {
+      compositor.render(message.frame, message.view);
+    } catch (err) {
+      console.error("Error drawing frame:", err);
+    } finally {
+      if (message.frame.video) message.frame.video.close();
+      self.postMessage({ type: "rendered", safety: compositor.safety });
+    }
+  } else if (message.type === "clear") {
+    compositor.clear(message.fill);
+  } else if (message.type === "reset") {
+    compositor.reset();
+  } else if (message.type === "snapshot") {
+    canvas.convertToBlob({ type: "image/png" })
+      .then(blob => self.postMessage({ type: "snapshot", blob }))
+      .catch(err => self.postMessage({ type: "snapshot", error: err.message }));
+  }
+});
@@ -0,0 +1,165 @@
+// renderer.js - Offscreen render surfaces and the transitions that blend them
+//
+// While the style changes, the compositor (compositor.js, on the page or in the
+// render worker) draws the outgoing and the incoming style into a surface each and
+// lets a transition composite the two onto the visible canvas.
+
+// A canvas sized in device pixels whose context draws in CSS pixels, like the visualizer
+function createRenderSurface() {
+  const canvas = createCanvas();
+  const ctx = canvas.getContext("2d");
+  const surface = { canvas, ctx, width: 0, height: 0, pixelRatio: 1, resize };
+
+  // width/height in drawing units; keeps the contents when nothing changed
+  function resize(width, height, pixelRatio) {
+    const w = Math.max(1, Math.round(width * pixelRatio));
+    const h = Math.max(1, Math.round(height * pixelRatio));
+    if (canvas.width !== w || canvas.height !== h) {
+      canvas.width = w;
+      canvas.height = h;
+    }
+    surface.width = width;
+    surface.height = height;
+    surface.pixelRatio = pixelRatio;
+    ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    return surface;
+  }
+
+  return surface;
+}
+
+// ----- Transitions -----
+// draw(ctx, from, to, t, work) composites two same-sized canvases onto ctx, which
+// has an identity transform. t runs 0..1 (already eased); work is a scratch
+// surface of the same size and state is per-transition storage.
+
+function transitionEase(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Draw source masked by a callback that paints the opaque parts into work
+function drawMasked(ctx, source, work, paintMask) {
+  const w = work.canvas;
+  const wctx = work.ctx;
+  wctx.save();
+  wctx.setTransform(1, 0, 0, 1, 0, 0);
+  wctx.globalCompositeOperation = "source-over";
+  wctx.globalAlpha = 1;
+  wctx.clearRect(0, 0, w.width, w.height);
+  wctx.drawImage(source, 0, 0);
+  wctx.globalCompositeOperation = "destination-in";
+  paintMask(wctx, w.width, w.height);
+  wctx.restore();
+  ctx.drawImage(w, 0, 0);
+}
+
+const STYLE_TRANSITIONS = {
+  crossfade: {
+    label: "Crossfade",
+    draw(ctx, from, to, t) {
+      ctx.drawImage(from, 0, 0);
+      ctx.globalAlpha = t;
+      ctx.drawImage(to, 0, 0);
+    }
+  },
+
+  // Soft-edged noise blocks switch over one by one
+  dissolve: {
+    label: "Dissolve",
+    draw(ctx, from, to, t, work, state) {
+      const cols = 96;
+      const rows = Math.max(1, Math.round((cols * to.height) / to.width));
+      if (!state.noise || state.noise.length !== cols * rows) {
+        // Seeded, so the same switch dissolves the same way in every render
+        const random = createRandom(hashSeed("dissolve"));
+        state.noise = Float32Array.from({ length: cols * rows }, () => random());
+        state.mask = createCanvas(cols, rows);
+        state.maskCtx = state.mask.getContext("2d");
+        state.image = state.maskCtx.createImageData(cols, rows);
+      }
+      const data = state.image.data;
+      const edge = 0.15;
+      for (let i = 0; i < state.noise.length; i++) {
+        // t spans the noise plus the edge so the last blocks finish exactly at 1
+        const alpha = Math.min(1, Math.max(0, (t * (1 + edge) - state.noise[i]) / edge));
+        data[i * 4 + 3] = alpha * 255;
+      }
+      state.maskCtx.putImageData(state.image, 0, 0);
+
+      ctx.drawImage(from, 0, 0);
+      drawMasked(ctx, to, work, (mctx, w, h) => {
+        mctx.imageSmoothingEnabled = false;
+        mctx.drawImage(state.mask, 0, 0, w, h);
+      });
+    }
+  },
+
+  // The new style opens from the center in a growing, feathered circle
+  radial: {
+    label: "Radial wipe",
+    draw(ctx, from, to, t, work) {
+      const cx = to.width / 2;
+      const cy = to.height / 2;
+      const feather = Math.hypot(cx, cy) * 0.15;
+      const radius = t * (Math.hypot(cx, cy) + feather);
+      ctx.drawImage(from, 0, 0);
+      drawMasked(ctx, to, work, (mctx, w, h) => {
+        const gradient = mctx.createRadialGradient(cx, cy, Math.max(0, radius - feather), cx, cy, Math.max(1, radius));
+        gradient.addColorStop(0, "rgba(0, 0, 0, 1)");
+        gradient.addColorStop(1, "rgba(0, 0, 0, 0)");
+        mctx.fillStyle = gradient;
+        mctx.fillRect(0, 0, w, h);
+      });
+    }
+  },
+
+  // The old style rushes toward the viewer and smears out; the new one settles in
+  zoomBlur: {
+    label: "Zoom blur",
+    draw(ctx, from, to, t) {
+      const w = to.width;
+      const h = to.height;
+      const samples = 6;
+      const drawZoomed = (image, scale, alpha) => {
+        ctx.globalAlpha = alpha;
+        ctx.drawImage(image, (w - w * scale) / 2, (h - h * scale) / 2, w * scale, h * scale);
+      };
+
+      // Radial blur: copies at increasing zoom, each a share of the opacity
+      const fromStrength = t * 0.35;
+      for (let i = 0; i < samples; i++) {
+        drawZoomed(from, 1 + fromStrength * (i / samples), i === 0 ? 1 : 1 / (i + 1));
+      }
+      const toStrength = (1 - t) * 0.35;
+      for (let i = 0; i < samples; i++) {
+        drawZoomed(to, 1 + toStrength * (1 - i / samples), t * (i === samples - 1 ? 1 : 1 / (samples - i)));
+      }
+    }
+  }
+};
+
+// A running transition; draw() returns false once it has finished
+function createStyleTransition(type, duration, startTime) {
+  const transition = STYLE_TRANSITIONS[type] || STYLE_TRANSITIONS.crossfade;
+  const state = {};
+  const work = createRenderSurface();
+
+  return {
+    progress(time) {
+      return duration > 0 ? Math.min(1, Math.max(0, (time - startTime) / duration)) : 1;
+    },
+
+    // Composite the two surfaces onto ctx at time; returns whether it is still running
+    draw(ctx, from, to, time) {
+      const t = this.progress(time);
+      work.resize(to.width, to.height, to.pixelRatio);
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.globalCompositeOperation = "source-over";
+      ctx.globalAlpha = 1;
+      transition.draw(ctx, from.canvas, to.canvas, transitionEase(t), work, state);
+      ctx.restore();
+      return t < 1;
+    }
+  };
+}
@@ -0,0 +1,226 @@
+// safety.js - Photosensitive flash limiter for the composited output
+//
+// Follows the general flash threshold of WCAG 2.3.1: a flash is a pair of opposing
+// changes in relative luminance of at least 0.1 where the darker state is below 0.8,
+// or a pair of opposing changes in saturated red. No more than three flashes may
+// happen in any one second.
+//
+// Each frame is measured on a small copy, region by region so a flash that covers
+// part of the picture still counts. Once any region comes close to the limit, the
+// limiter blends the previous output over the new frame so brightness can only
+// drift at a rate too slow to flash, and keeps doing so until things settle.
+
+const FLASH_LUMINANCE_STEP = 0.1;     // WCAG: 10% of the maximum relative luminance
+const FLASH_DARK_LIMIT = 0.8;         // ... where the darker image is below 0.80
+const FLASH_RED_STEP = 20 / 320;      // WCAG red flash: change of 20 in (R - G - B) * 320
+const FLASH_MAX_PER_SECOND = 3;
+const FLASH_ENGAGE_TRANSITIONS = 4;   // two flashes within a second turn damping on
+const FLASH_HOLD_SECONDS = 2;         // damping stays on at least this long
+
+const FLASH_SAMPLE_WIDTH = 48;
+const FLASH_SAMPLE_HEIGHT = 27;
+const FLASH_REGIONS_X = 4;
+const FLASH_REGIONS_Y = 3;
+
+// sRGB byte to linear light
+function flashLinear(c) {
+  const v = c / 255;
+  return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+const FLASH_LINEAR_TABLE = new Float32Array(256).map((_, i) => flashLinear(i));
+
+// Mean relative luminance and saturated-red level of each region of an RGBA image
+function measureFlashRegions(pixels, width, height) {
+  const count = FLASH_REGIONS_X * FLASH_REGIONS_Y;
+  const luminance = new Float32Array(count);
+  const red = new Float32Array(count);
+  const sizes = new Float32Array(count);
+  for (let y = 0; y < height; y++) {
+    const ry = Math.min(FLASH_REGIONS_Y - 1, Math.floor((y * FLASH_REGIONS_Y) / height));
+    for (let x = 0; x < width; x++) {
+      const region = ry * FLASH_REGIONS_X + Math.min(FLASH_REGIONS_X - 1, Math.floor((x * FLASH_REGIONS_X) / width));
+      const i = (y * width + x) * 4;
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      luminance[region] += 0.2126 * FLASH_LINEAR_TABLE[r] + 0.7152 * FLASH_LINEAR_TABLE[g] + 0.0722 * FLASH_LINEAR_TABLE[b];
+      // Saturated red: red carries at least 80% of the color
+      if (r + g + b > 0 && r / (r + g + b) >= 0.8) red[region] += Math.max(0, r - g - b) / 255;
+      sizes[region]++;
+    }
+  }
+  for (let i = 0; i < count; i++) {
+    luminance[i] /= sizes[i] || 1;
+    red[i] /= sizes[i] || 1;
+  }
+  return { luminance, red };
+}
+
+// Counts opposing transitions of one measure in one region
+function createTransitionCounter(step, isFlash) {
+  let anchor = null;     // last extreme
+  let direction = 0;     // +1 rising, -1 falling, 0 unknown
+  const times = [];
+
+  return {
+    times,
+    update(value, time) {
+      if (anchor === null) {
+        anchor = value;
+        return;
+      }
+      const change = value - anchor;
+      // Still moving the same way: the extreme moves with it
+      if (direction !== 0 && Math.sign(change) === direction) {
+        anchor = value;
+        return;
+      }
+      if (Math.abs(change) >= step) {
+        if (isFlash(anchor, value)) times.push(time);
+        direction = Math.sign(change);
+        anchor = value;
+      }
+    },
+    recent(time) {
+      while (times.length && time - times[0] > 1) times.shift();
+      return times.length;
+    },
+    reset() {
+      anchor = null;
+      direction = 0;
+      times.length = 0;
+    }
+  };
+}
+
+function createFlashLimiter() {
+  const sample = createCanvas(FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+  const sampleCtx = sample.getContext("2d", { willReadFrequently: true });
+  const previous = createCanvas();  // last frame shown
+  const previousCtx = previous.getContext("2d");
+  const regionCount = FLASH_REGIONS_X * FLASH_REGIONS_Y;
+  const counters = [];
+  for (let i = 0; i < regionCount; i++) {
+    counters.push({
+      luminance: createTransitionCounter(FLASH_LUMINANCE_STEP, (a, b) => Math.min(a, b) < FLASH_DARK_LIMIT),
+      red: createTransitionCounter(FLASH_RED_STEP, () => true)
+    });
+  }
+
+  let shownPixels = null;   // sample of the last frame shown
+  let lastTime = null;
+  let limitUntil = -Infinity;
+  const limiter = {
+    enabled: true,
+    limiting: false,
+    flashRate: 0,
+    process,
+    reset
+  };
+
+  // Blend of two samples, alpha of the old one, measured
+  function measureBlend(older, newer, alpha) {
+    const pixels = new Uint8ClampedArray(newer.length);
+    for (let i = 0; i < newer.length; i++) {
+      pixels[i] = older[i] * alpha + newer[i] * (1 - alpha);
+    }
+    return { pixels, stats: measureFlashRegions(pixels, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT) };
+  }
+
+  function largestChange(a, b) {
+    let luminance = 0;
+    let red = 0;
+    for (let i = 0; i < regionCount; i++) {
+      luminance = Math.max(luminance, Math.abs(a.luminance[i] - b.luminance[i]));
+      red = Math.max(red, Math.abs(a.red[i] - b.red[i]));
+    }
+    return { luminance, red };
+  }
+
+  // Measure the finished frame on canvas and damp it in place if needed.
+  // time is in seconds on the animation clock (the frame time).
+  function process(canvas, time) {
+    if (!limiter.enabled || !canvas.width || !canvas.height) {
+      limiter.limiting = false;
+      return limiter;
+    }
+    // A jump in time (seek, pause, a new render) starts the history over
+    if (lastTime !== null && (time < lastTime || time - lastTime > 1)) reset();
+    const dt = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+
+    const ctx = canvas.getContext("2d");
+    sampleCtx.drawImage(canvas, 0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+    let pixels = sampleCtx.getImageData(0, 0, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT).data;
+    let stats = measureFlashRegions(pixels, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+
+    limiter.limiting = time < limitUntil;
+    if (limiter.limiting && shownPixels && dt > 0 && previous.width === canvas.width && previous.height === canvas.height) {
+      // Fastest allowed drift: a full transition may take no less than half a flash period
+      const rate = 2 * FLASH_MAX_PER_SECOND * dt;
+      const allowed = { luminance: FLASH_LUMINANCE_STEP * rate * 0.9, red: FLASH_RED_STEP * rate * 0.9 };
+      const shown = measureFlashRegions(shownPixels, FLASH_SAMPLE_WIDTH, FLASH_SAMPLE_HEIGHT);
+      const change = largestChange(stats, shown);
+      if (change.luminance > allowed.luminance || change.red > allowed.red) {
+        // Smallest amount of the previous frame that brings the change within bounds
+        let low = 0;
+        let high = 1;
+        let best = { pixels: shownPixels, stats: shown };
+        for (let i = 0; i < 8; i++) {
+          const alpha = (low + high) / 2;
+          const blend = measureBlend(shownPixels, pixels, alpha);
+          const blendChange = largestChange(blend.stats, shown);
+          if (blendChange.luminance > allowed.luminance || blendChange.red > allowed.red) {
+            low = alpha;
+          } else {
+            high = alpha;
+            best = blend;
+          }
+        }
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalCompositeOperation = "source-over";
+        ctx.globalAlpha = high;
+        ctx.drawImage(previous, 0, 0);
+        ctx.restore();
+        pixels = best.pixels;
+        stats = best.stats;
+      }
+    }
+
+    // Count what is actually shown, so damping shows up as fewer transitions
+    let busiest = 0;
+    counters.forEach((counter, i) => {
+      counter.luminance.update(stats.luminance[i], time);
+      counter.red.update(stats.red[i], time);
+      busiest = Math.max(busiest, counter.luminance.recent(time), counter.red.recent(time));
+    });
+    limiter.flashRate = busiest / 2;
+    if (busiest >= FLASH_ENGAGE_TRANSITIONS) limitUntil = time + FLASH_HOLD_SECONDS;
+    limiter.limiting = time < limitUntil;
+
+    if (previous.width !== canvas.width || previous.height !== canvas.height) {
+      previous.width = canvas.width;
+      previous.height = canvas.height;
+    }
+    previousCtx.clearRect(0, 0, previous.width, previous.height);
+    previousCtx.drawImage(canvas, 0, 0);
+    shownPixels = new Uint8ClampedArray(pixels);
+    return limiter;
+  }
+
+  function reset() {
+    counters.forEach(counter => {
+      counter.luminance.reset();
+      counter.red.reset();
+    });
+    shownPixels = null;
+    lastTime = null;
+    limitUntil = -Infinity;
+    limiter.limiting = false;
+    limiter.flashRate = 0;
+  }
+
+  return limiter;
+}
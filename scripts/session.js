@@ -0,0 +1,192 @@
+// session.js - Guided sessions: paced breathing over the visuals and an intensity arc
+//
+// A session runs for a chosen length with a goal. Each goal has a breathing pattern
+// and an intensity curve; app.js scales the audio levels by the intensity and draws
+// the breathing guide over whatever style is active.
+
+// Breathing phases are shares of one breath; intensity is [session position, level] points
+const SESSION_GOALS = {
+  calm: {
+    label: "Calm",
+    cycle: 10,                  // seconds per breath at the default pace (6 per minute)
+    phases: [
+      { name: "inhale", share: 4 },
+      { name: "exhale", share: 6 }
+    ],
+    intensity: [[0, 0.8], [0.2, 0.6], [0.8, 0.35], [1, 0.3]],
+    color: "#8fc7ff"
+  },
+  uplift: {
+    label: "Uplift",
+    cycle: 8,
+    phases: [
+      { name: "inhale", share: 4 },
+      { name: "holdIn", share: 1 },
+      { name: "exhale", share: 3 }
+    ],
+    intensity: [[0, 0.4], [0.3, 0.7], [0.8, 1], [1, 0.9]],
+    color: "#ffc76b"
+  },
+  focus: {
+    label: "Focus",
+    cycle: 16,                  // box breathing: four equal sides
+    phases: [
+      { name: "inhale", share: 1 },
+      { name: "holdIn", share: 1 },
+      { name: "exhale", share: 1 },
+      { name: "holdOut", share: 1 }
+    ],
+    intensity: [[0, 0.6], [0.15, 0.7], [0.85, 0.7], [1, 0.5]],
+    color: "#b6f0c8"
+  }
+};
+
+const SESSION_CUES = {
+  inhale: "Breathe in",
+  holdIn: "Hold",
+  exhale: "Breathe out",
+  holdOut: "Hold"
+};
+
+function sessionEase(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Level of a [position, value] curve at t (0..1), eased between points
+function sessionCurve(points, t) {
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x0, y0] = points[i - 1];
+    if (t <= x1) return y0 + (y1 - y0) * sessionEase((t - x0) / (x1 - x0 || 1));
+  }
+  return points[points.length - 1][1];
+}
+
+// options: { goal, minutes, pace: "music" | "manual", breathsPerMinute }
+function createSession(options) {
+  const goalId = SESSION_GOALS[options.goal] ? options.goal : "calm";
+  const goal = SESSION_GOALS[goalId];
+  const duration = Math.max(1, options.minutes) * 60;
+  const totalShare = goal.phases.reduce((sum, phase) => sum + phase.share, 0);
+  let elapsed = 0;
+  let cycleStart = 0;
+  let cycleLength = 0;
+
+  // With the music, a breath spans a whole number of beats near the goal's pace
+  function nextCycleLength(bpm) {
+    if (options.pace === "manual") return 60 / Math.min(12, Math.max(3, options.breathsPerMinute || 6));
+    if (!bpm) return goal.cycle;
+    const beat = 60 / bpm;
+    return Math.max(1, Math.round(goal.cycle / beat)) * beat;
+  }
+
+  // Advance by dt seconds; bpm is the current tempo estimate (0 = unknown)
+  function update(dt, bpm) {
+    elapsed = Math.min(duration, elapsed + dt);
+    if (!cycleLength) cycleLength = nextCycleLength(bpm);
+    // The pace only changes between breaths, so a tempo change never jerks the guide
+    while (elapsed - cycleStart >= cycleLength) {
+      cycleStart += cycleLength;
+      cycleLength = nextCycleLength(bpm);
+    }
+
+    let position = ((elapsed - cycleStart) / cycleLength) * totalShare;
+    let phase = goal.phases[0];
+    for (const p of goal.phases) {
+      phase = p;
+      if (position < p.share) break;
+      position -= p.share;
+    }
+    const progress = Math.min(1, position / phase.share);
+
+    // Ring size: grows on the inhale, stays full or empty through holds
+    let breath = 0;
+    if (phase.name === "inhale") breath = sessionEase(progress);
+    else if (phase.name === "holdIn") breath = 1;
+    else if (phase.name === "exhale") breath = 1 - sessionEase(progress);
+
+    return {
+      goal,
+      elapsed,
+      duration,
+      remaining: duration - elapsed,
+      done: elapsed >= duration,
+      intensity: sessionCurve(goal.intensity, elapsed / duration),
+      phase: phase.name,
+      cue: SESSION_CUES[phase.name],
+      phaseRemaining: (1 - progress) * (phase.share / totalShare) * cycleLength,
+      breath,
+      breathsPerMinute: 60 / cycleLength
+    };
+  }
+
+  return {
+    goalId,
+    goal,
+    duration,
+    update
+  };
+}
+
+// ----- Breathing guide overlay -----
+
+function formatSessionTime(seconds) {
+  const s = Math.ceil(seconds);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+// Draws over the finished frame; state is a frame returned by session.update()
+function drawBreathingGuide(ctx, width, height, state) {
+  const color = state.goal.color;
+  const cx = width / 2;
+  const cy = height / 2;
+  const base = Math.min(width, height);
+  const radius = base * (0.12 + state.breath * 0.16);
+
+  ctx.save();
+  ctx.globalAlpha = 1;
+  ctx.globalCompositeOperation = "source-over";
+
+  // Quieter parts of the session also dim the picture a little
+  ctx.fillStyle = `rgba(0, 0, 0, ${(1 - state.intensity) * 0.35})`;
+  ctx.fillRect(0, 0, width, height);
+
+  const fill = ctx.createRadialGradient(cx, cy, radius * 0.2, cx, cy, radius);
+  fill.addColorStop(0, hexToRgba(color, 0));
+  fill.addColorStop(1, hexToRgba(color, 0.18));
+  ctx.fillStyle = fill;
+  ctx.beginPath();
+  ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+  ctx.fill();
+
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = hexToRgba(color, 0.85);
+  ctx.stroke();
+
+  // Faint guides at the smallest and largest size
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = hexToRgba(color, 0.25);
+  [0.12, 0.28].forEach(r => {
+    ctx.beginPath();
+    ctx.arc(cx, cy, base * r, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "rgba(255, 255, 255, 0.9)";
+  ctx.font = `${Math.round(base * 0.045)}px sans-serif`;
+  if (state.done) {
+    ctx.fillText("Session complete", cx, cy);
+  } else {
+    ctx.fillText(state.cue, cx, cy - base * 0.02);
+    ctx.font = `${Math.round(base * 0.03)}px sans-serif`;
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.fillText(String(Math.ceil(state.phaseRemaining)), cx, cy + base * 0.035);
+  }
+
+  ctx.font = `${Math.round(base * 0.025)}px sans-serif`;
+  ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+  ctx.fillText(`${state.goal.label} \u00B7 ${formatSessionTime(state.remaining)} left`, cx, height - base * 0.05);
+  ctx.restore();
+}
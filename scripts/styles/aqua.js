@@ -0,0 +1,149 @@
+// aqua.js - Aqua style: underwater scene with bubbles, light rays and fish
+
+// A bubble somewhere along the bottom; each follows its own part of the spectrum
+function initBubble(p, width, height, random) {
+  p.x = random() * width;
+  p.y = height;
+  p.vy = -20;
+  p.size = 10;
+  p.band = random();
+}
+
+// Where the surface is: waterLevel is the part of the height under water
+function aquaSurface(scene) {
+  return scene.height * (1 - scene.params.waterLevel);
+}
+
+// Bubbles live below the surface and pop when they reach it
+function setBubbleBounds(system, scene) {
+  const surface = aquaSurface(scene);
+  system.setBounds(0, surface, scene.width, scene.height - surface);
+}
+
+registerStyle({
+  id: "aqua",
+  label: "Aqua",
+  tags: ["calm", "water", "warm"],
+  params: {
+    bubbleCount: { default: 30, min: 0, max: 150, step: 5, label: "Bubbles", tags: ["density"] },
+    waterLevel: { default: 0.7, min: 0.4, max: 0.9, step: 0.05, label: "Water level" }
+  },
+
+  init(scene) {
+    const random = scene.random;
+    const bubbles = createParticleSystem({ capacity: 150, edges: "remove" });
+    setBubbleBounds(bubbles, scene);
+    const rising = bubbles.addEmitter(createEmitter(0, p => initBubble(p, bubbles.bounds.width, bubbles.bounds.y + bubbles.bounds.height, random)));
+    // Buoyancy against drag settles at 20 units/s upward
+    bubbles.addForce(gravityForce(0, -40));
+    bubbles.addForce(dragForce(2));
+    const stir = bubbles.addForce(impulseForce(random));
+    const surface = aquaSurface(scene);
+    for (let i = 0; i < scene.params.bubbleCount; i++) {
+      bubbles.spawn(p => {
+        initBubble(p, scene.width, scene.height, random);
+        p.y = surface + random() * (scene.height - surface);
+      });
+    }
+    return { bubbles, rising, stir };
+  },
+
+  // Beats stir the water, sending the bubbles up faster for a moment
+  onBeat(state, beat) {
+    state.stir.trigger(beat.strength * 40, { dy: -1, spread: 30 });
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+
+    // Ocean gradient background
+    const gradient = ctx.createLinearGradient(0, 0, 0, ch);
+    gradient.addColorStop(0, "#004466");
+    gradient.addColorStop(1, "#001122");
+    scene.background(gradient);
+
+    // Draw water waves
+    const time = scene.time;
+    const energy = scene.energy;
+    const surface = aquaSurface(scene);
+
+    // Surface waves
+    ctx.beginPath();
+    for (let x = 0; x <= cw; x += 5) {
+      const y = surface + Math.sin(x * 0.02 + time) * 10 * energy;
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.lineTo(cw, ch);
+    ctx.lineTo(0, ch);
+    ctx.closePath();
+    ctx.fillStyle = "rgba(0, 100, 200, 0.4)";
+    ctx.fill();
+
+    // Bubbles, released often enough to keep about bubbleCount in the water. The
+    // bounds follow the size and the water level, which can change while it runs
+    setBubbleBounds(state.bubbles, scene);
+    state.rising.rate = (scene.params.bubbleCount * 20) / (ch - surface);
+    state.bubbles.update(scene.dt);
+    state.bubbles.particles.forEach(p => {
+      const v = scene.level(p.band);
+
+      const x = p.x;
+      const y = p.y;
+      const size = 2 + v * 8;
+
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.2 + v * 0.5})`;
+      ctx.fill();
+
+      // Add highlight to bubbles
+      ctx.beginPath();
+      ctx.arc(x - size/3, y - size/3, size/4, 0, Math.PI * 2);
+      ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+      ctx.fill();
+    });
+
+    // Light rays from surface, swaying slowly with the water
+    for (let i = 0; i < 5; i++) {
+      const x = (i + 1) * cw / 6;
+      const angle = -Math.PI/4 + Math.sin(time * 0.7 + i * 1.3) * 0.1;
+      const length = 150 + Math.sin(time * 0.9 + i * 2.1) * 50;
+
+      ctx.beginPath();
+      ctx.moveTo(x, surface);
+      ctx.lineTo(
+        x + Math.cos(angle) * length,
+        surface + Math.sin(angle) * length
+      );
+      ctx.strokeStyle = "rgba(255, 255, 255, 0.1)";
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+
+    // Fish or other sea creatures, swimming under the surface
+    const depth = surface + (ch - surface) * 0.3;
+    for (let i = 0; i < 3; i++) {
+      const v = scene.level(i / 3);
+
+      const x = (scene.time * 50 + i * 100) % (cw + 50) - 25;
+      const y = depth + Math.sin(x * 0.05) * 30;
+
+      // Draw simple fish shape
+      ctx.fillStyle = `hsl(${30 + i * 60}, 80%, 50%)`;
+      ctx.beginPath();
+      ctx.ellipse(x, y, 15 + v * 10, 8 + v * 5, 0, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Tail
+      ctx.beginPath();
+      ctx.moveTo(x - 15, y);
+      ctx.lineTo(x - 25, y - 10);
+      ctx.lineTo(x - 25, y + 10);
+      ctx.closePath();
+      ctx.fill();
+    }
+  }
+});
@@ -0,0 +1,304 @@
+// aurora.js - Aurora style: WebGL curtains driven by four band energies
+//
+// The shader renders into the style's own WebGL canvas, which is then drawn
+// into the frame like any other 2D content.
+
+registerStyle({
+  id: "aurora",
+  label: "Aurora",
+  tags: ["calm", "nature", "night", "green", "cool"],
+  params: {
+    speed: { default: 1.0, min: 0.1, max: 3, step: 0.05, label: "Speed", tags: ["speed"] },
+    saturation: { default: 1.0, min: 0, max: 1.5, step: 0.05, label: "Saturation", tags: ["saturation"] },
+    starDensity: { default: 0.02, min: 0, max: 0.2, step: 0.005, label: "Star density", tags: ["density"] },
+    starSize: { default: 0.2, min: 0.05, max: 0.5, step: 0.01, label: "Star size", tags: ["size"] },
+    glow: { default: 0.5, min: 0, max: 2, step: 0.05, label: "Glow", tags: ["brightness"] }
+  },
+
+  init(scene) {
+    const state = {
+      glCanvas: createCanvas(),
+      bands: [0, 0, 0, 0],
+      params: scene.params,
+      startTime: scene.time
+    };
+    state.glCanvas.width = Math.round(scene.width * scene.pixelRatio);
+    state.glCanvas.height = Math.round(scene.height * scene.pixelRatio);
+    state.render = initAuroraGL(state.glCanvas, () => state.bands, () => state.params);
+    return state;
+  },
+
+  resize(state, scene) {
+    state.glCanvas.width = Math.round(scene.width * scene.pixelRatio);
+    state.glCanvas.height = Math.round(scene.height * scene.pixelRatio);
+  },
+
+  render(state, scene) {
+    scene.background("#000015");
+    if (!state.render) return;
+
+    // The worker receives a fresh copy of the params every frame, so hand on this one
+    state.bands = scene.bands;
+    state.params = scene.params;
+    state.render(scene.time - state.startTime);
+
+    // Let a video backdrop show through the curtains
+    scene.ctx.globalAlpha = scene.video ? 0.6 : 1;
+    scene.ctx.drawImage(state.glCanvas, 0, 0, scene.width, scene.height);
+    scene.ctx.globalAlpha = 1;
+  },
+
+  dispose(state) {
+    const gl = state.glCanvas.getContext("webgl");
+    const lose = gl && gl.getExtension("WEBGL_lose_context");
+    if (lose) lose.loseContext();
+  }
+});
+
+// ----- Aurora GL system -----
+// getOptions returns the tunable uniforms (speed, saturation, starDensity, starSize,
+// glow). It is called every frame, so edits, and new objects, show up while rendering.
+function initAuroraGL(canvas, getBandEnergies, getOptions = () => ({})) {
+  const gl = canvas.getContext("webgl");
+  if (!gl) { 
+    console.error("WebGL not supported"); 
+    return null; 
+  }
+
+  const vsSource = `
+    attribute vec2 a_pos;
+    varying vec2 v_uv;
+    void main() {
+      v_uv = a_pos * 0.5 + 0.5;
+      gl_Position = vec4(a_pos, 0.0, 1.0);
+    }
+  `;
+
+  const fsSource = `
+    precision highp float;
+    varying vec2 v_uv;
+    uniform float u_time;
+    uniform vec2 u_resolution;
+    uniform vec4 u_bands; // energies for 4 bands (0..1)
+    uniform float u_speed;
+    uniform float u_saturation;
+    uniform float u_starDensity;
+    uniform float u_starSize;
+    uniform float u_glow; // global glow intensity
+
+    // --------------------------
+    // 2D Simplex / Classic noise
+    // Ashima / IQ style (small, efficient)
+    // --------------------------
+    vec3 mod289(vec3 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec2 mod289(vec2 x) { return x - floor(x * (1.0 / 289.0)) * 289.0; }
+    vec3 permute(vec3 x) { return mod289(((x*34.0)+1.0)*x); }
+
+    float snoise(vec2 v){
+      const vec4 C = vec4(0.211324865405187,  // (3.0-sqrt(3.0))/6.0
+                          0.366025403784439,  // 0.5*(sqrt(3.0)-1.0)
+                         -0.577350269189626,  // -1.0 + 2.0 * C.x
+                          0.024390243902439); // 1.0/41.0
+      vec2 i = floor(v + dot(v, C.yy) );
+      vec2 x0 = v - i + dot(i, C.xx);
+
+      vec2 i1;
+      i1 = (x0.x > x0.y) ? vec2(1.0, 0.0) : vec2(0.0, 1.0);
+
+      vec4 x12 = x0.xyxy + C.xxzz;
+      x12.xy -= i1;
+
+      i = mod289(i);
+      vec3 p = permute( permute( i.y + vec3(0.0, i1.y, 1.0 ))
+                      + i.x + vec3(0.0, i1.x, 1.0 ));
+
+      vec3 m = max(0.5 - vec3(dot(x0,x0), dot(x12.xy,x12.xy), dot(x12.zw,x12.zw)), 0.0);
+      m = m*m; m = m*m;
+
+      vec3 x = 2.0 * fract(p * C.www) - 1.0;
+      vec3 h = abs(x) - 0.5;
+      vec3 ox = floor(x + 0.5);
+      vec3 a0 = x - ox;
+
+      m *= 1.79284291400159 - 0.85373472095314 * ( a0*a0 + h*h );
+
+      vec3 g;
+      g.x  = a0.x * x0.x + h.x * x0.y;
+      g.yz = a0.yz * x12.xz + h.yz * x12.yw;
+      return 130.0 * dot(m, g);
+    }
+
+    // hash for star pattern
+    float hash21(vec2 p) {
+      p = fract(p * vec2(123.34, 345.45));
+      p += dot(p, p + 34.345);
+      return fract(p.x * p.y);
+    }
+
+    // hue to rgb (somewhat soft)
+    vec3 h2rgb(float h, float s, float v) {
+      h = fract(h);
+      float i = floor(h * 6.0);
+      float f = h * 6.0 - i;
+      float p = v * (1.0 - s);
+      float q = v * (1.0 - f * s);
+      float t = v * (1.0 - (1.0 - f) * s);
+      vec3 col;
+      if (i == 0.0) col = vec3(v,t,p);
+      else if (i == 1.0) col = vec3(q,v,p);
+      else if (i == 2.0) col = vec3(p,v,t);
+      else if (i == 3.0) col = vec3(p,q,v);
+      else if (i == 4.0) col = vec3(t,p,v);
+      else col = vec3(v,p,q);
+      return col;
+    }
+
+    void main() {
+      vec2 uv = v_uv;
+      vec2 p = uv * u_resolution.xy / min(u_resolution.x, u_resolution.y);
+
+      // base sky
+      vec3 sky = vec3(0.01, 0.02, 0.03);
+
+      // time warp and scale
+      float t = u_time * u_speed * 0.2;
+
+      // We'll create 4 layered curtains
+      vec3 accum = vec3(0.0);
+
+      // parameters per-band
+      for (int b = 0; b < 4; b++) {
+        float bandEnergy = u_bands[b]; // 0..1
+        // horizontal scale for noise and vertical displacement
+        float scale = mix(0.6, 2.5, float(b) * 0.3);
+        float yShift = float(b) * 0.12; // vertical offset per band
+        float bandSpeed = mix(0.4, 1.6, float(b) * 0.4);
+
+        // sample noise - create vertical curtain by sampling noise with uv.x + time
+        float nx = uv.x * scale * 3.0;
+        float ny = uv.y * 1.5 - yShift * 2.0 + t * bandSpeed;
+        float n = snoise(vec2(nx + float(b)*10.0, ny));
+
+        // create a curtain mask: stronger near some y position influenced by n
+        float center = 0.55 + n * 0.25; // center y of curtain
+        float width = 0.25 + bandEnergy * 0.5; // width of curtain
+        float mask = smoothstep(center + width, center + width*0.2, uv.y) - smoothstep(center - width*0.2, center - width, uv.y);
+        // soften edges by additional noise
+        mask *= smoothstep(0.0, 1.0, bandEnergy*1.5 + snoise(vec2(nx*0.5 + 3.0, ny*0.5))*0.6);
+
+        // color per-band (hue choices; map band index to a palette)
+        float baseHue = 0.0;
+        if (b == 0) baseHue = 0.48; // greenish
+        if (b == 1) baseHue = 0.78; // purple-blue
+        if (b == 2) baseHue = 0.12; // golden
+        if (b == 3) baseHue = 0.58; // cyan
+
+        float hue = baseHue + (n * 0.08) + (bandEnergy * 0.06);
+        float sat = 0.6 * u_saturation + 0.2;
+        float val = 0.25 + bandEnergy * 0.85;
+
+        vec3 col = h2rgb(hue, sat, val);
+        // multiply by mask and bandEnergy (so quiet bands are dim)
+        vec3 contribution = col * mask * (0.25 + bandEnergy*1.5);
+
+        // add subtle vertical glow (w wider)
+        float glowMask = exp(-abs(uv.y - center) * 8.0) * 0.5;
+        accum += contribution * (1.0 + glowMask * u_glow);
+      }
+
+      // Stars: low-density hashed dots with slow twinkle
+      float star = 0.0;
+      // bias density with u_starDensity
+      vec2 starCell = floor(uv * u_resolution.xy / 40.0);
+      float h = hash21(starCell * 0.123 + vec2(u_time * 0.02));
+      if (h < u_starDensity) {
+        // twinkle via per-cell sine
+        float tw = 0.5 + 0.5 * sin(hash21(starCell) * 343.2 + u_time * 0.8);
+        float dx = fract(uv.x * u_resolution.x / 40.0) - 0.5;
+        float dy = fract(uv.y * u_resolution.y / 40.0) - 0.5;
+        float d = sqrt(dx*dx + dy*dy);
+        float s = smoothstep(u_starSize * 0.6, 0.0, d) * tw;
+        star += s;
+      }
+
+      // combine sky + aurora + stars (additive)
+      vec3 color = sky + accum;
+      color += vec3(star * 1.2);
+
+      // tone mapping and gamma
+      color = 1.0 - exp(-color * vec3(1.2)); // simple tonemap
+      color = pow(color, vec3(0.95)); // gamma
+
+      gl_FragColor = vec4(color, 1.0);
+    }
+  `;
+
+  // Create shader program
+  const vertexShader = gl.createShader(gl.VERTEX_SHADER);
+  gl.shaderSource(vertexShader, vsSource);
+  gl.compileShader(vertexShader);
+  
+  const fragmentShader = gl.createShader(gl.FRAGMENT_SHADER);
+  gl.shaderSource(fragmentShader, fsSource);
+  gl.compileShader(fragmentShader);
+  
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  gl.useProgram(program);
+  
+  // Create a quad that covers the entire screen
+  const buffer = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+  
+  const positionAttributeLocation = gl.getAttribLocation(program, "a_pos");
+  gl.enableVertexAttribArray(positionAttributeLocation);
+  gl.vertexAttribPointer(positionAttributeLocation, 2, gl.FLOAT, false, 0, 0);
+  
+  // Get uniform locations
+  const resolutionUniformLocation = gl.getUniformLocation(program, "u_resolution");
+  const timeUniformLocation = gl.getUniformLocation(program, "u_time");
+  const bandsUniformLocation = gl.getUniformLocation(program, "u_bands");
+  const speedUniformLocation = gl.getUniformLocation(program, "u_speed");
+  const saturationUniformLocation = gl.getUniformLocation(program, "u_saturation");
+  const starDensityUniformLocation = gl.getUniformLocation(program, "u_starDensity");
+  const starSizeUniformLocation = gl.getUniformLocation(program, "u_starSize");
+  const glowUniformLocation = gl.getUniformLocation(program, "u_glow");
+  
+  function option(name, fallback) {
+    const options = getOptions();
+    return options[name] !== undefined ? options[name] : fallback;
+  }
+
+  let width = 0;
+  let height = 0;
+  
+  // Return render function; time is in seconds
+  return function render(time) {
+    // Update canvas size if needed
+    if (canvas.width !== width || canvas.height !== height) {
+      width = canvas.width;
+      height = canvas.height;
+      gl.viewport(0, 0, width, height);
+      gl.uniform2f(resolutionUniformLocation, width, height);
+    }
+    
+    gl.uniform1f(timeUniformLocation, time);
+    gl.uniform1f(speedUniformLocation, option("speed", 1.0));
+    gl.uniform1f(saturationUniformLocation, option("saturation", 1.0));
+    gl.uniform1f(starDensityUniformLocation, option("starDensity", 0.02));
+    gl.uniform1f(starSizeUniformLocation, option("starSize", 0.2));
+    gl.uniform1f(glowUniformLocation, option("glow", 0.5));
+    
+    // Update bands
+    if (getBandEnergies) {
+      const bands = getBandEnergies();
+      gl.uniform4f(bandsUniformLocation, bands[0], bands[1], bands[2], bands[3]);
+    }
+    
+    // Render
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+  };
+}
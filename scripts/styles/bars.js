@@ -0,0 +1,34 @@
+// bars.js - Bars style: classic spectrum bars, registered without a button
+
+registerStyle({
+  id: "bars",
+  label: "Bars",
+  tags: ["energetic"],
+  hidden: true,
+  params: {
+    barCount: { default: 64, min: 16, max: 128, step: 4, label: "Bars", tags: ["density"] },
+    height: { default: 0.8, min: 0.3, max: 1, step: 0.05, label: "Height", tags: ["size"] }
+  },
+
+  init() {
+    return {};
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    scene.background("#000015");
+    const cw = scene.width;
+    const ch = scene.height;
+    const barCount = scene.params.barCount;
+    const barWidth = cw / barCount;
+
+    for (let i = 0; i < barCount; i++) {
+      const v = scene.level(i / barCount);
+      const barHeight = v * ch * scene.params.height;
+      const hue = 240 - Math.round(v * 160);
+      ctx.fillStyle = `hsl(${hue}, 70%, ${40 + v * 30}%)`;
+      const x = i * barWidth;
+      ctx.fillRect(x, ch - barHeight, Math.max(barWidth - 1, 1), barHeight);
+    }
+  }
+});
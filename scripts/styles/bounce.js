@@ -0,0 +1,192 @@
+// bounce.js - Bounce + Neon Pulse style: glowing balls under simple rigid-body physics
+
+const BOUNCE_GRAVITY = 900;       // px/s^2
+const BOUNCE_RESTITUTION = 0.85;
+const BOUNCE_TRAIL = 0.13;        // seconds of trail behind each ball
+
+// One ball per ~25000 px^2 of canvas, scaled by the density param
+function bounceBallCount(cw, ch, density) {
+  return Math.max(4, Math.min(60, Math.round((cw * ch / 25000) * density)));
+}
+
+function createBounceBall(cw, ch, index, random) {
+  const radius = 8 + random() * 14;
+  return {
+    x: radius + random() * Math.max(1, cw - radius * 2),
+    y: radius + random() * Math.max(1, ch * 0.5),
+    vx: (random() - 0.5) * 300,
+    vy: (random() - 0.5) * 200,
+    radius,
+    mass: radius * radius,
+    band: index % 4,              // which band drives its glow
+    hue: random() * 360,
+    trail: []
+  };
+}
+
+// Resolve wall and ball-to-ball collisions for one step
+function collideBounceBalls(balls, cw, ch) {
+  balls.forEach(b => {
+    if (b.x - b.radius < 0) { b.x = b.radius; b.vx = Math.abs(b.vx) * BOUNCE_RESTITUTION; }
+    if (b.x + b.radius > cw) { b.x = cw - b.radius; b.vx = -Math.abs(b.vx) * BOUNCE_RESTITUTION; }
+    if (b.y - b.radius < 0) { b.y = b.radius; b.vy = Math.abs(b.vy) * BOUNCE_RESTITUTION; }
+    if (b.y + b.radius > ch) { b.y = ch - b.radius; b.vy = -Math.abs(b.vy) * BOUNCE_RESTITUTION; }
+  });
+
+  for (let i = 0; i < balls.length; i++) {
+    for (let j = i + 1; j < balls.length; j++) {
+      const a = balls[i];
+      const b = balls[j];
+      const dx = b.x - a.x;
+      const dy = b.y - a.y;
+      const minDist = a.radius + b.radius;
+      const distSq = dx * dx + dy * dy;
+      if (distSq >= minDist * minDist || distSq === 0) continue;
+
+      const dist = Math.sqrt(distSq);
+      const nx = dx / dist;
+      const ny = dy / dist;
+
+      // Push apart in proportion to mass, then exchange momentum along the normal
+      const overlap = minDist - dist;
+      const total = a.mass + b.mass;
+      a.x -= nx * overlap * (b.mass / total);
+      a.y -= ny * overlap * (b.mass / total);
+      b.x += nx * overlap * (a.mass / total);
+      b.y += ny * overlap * (a.mass / total);
+
+      const closing = (a.vx - b.vx) * nx + (a.vy - b.vy) * ny;
+      if (closing <= 0) continue;
+      const impulse = ((1 + BOUNCE_RESTITUTION) * closing) / total;
+      a.vx -= impulse * b.mass * nx;
+      a.vy -= impulse * b.mass * ny;
+      b.vx += impulse * a.mass * nx;
+      b.vy += impulse * a.mass * ny;
+    }
+  }
+}
+
+// Match the ball count to the canvas area and keep every ball in view
+function fitBounceBalls(balls, cw, ch, density, random) {
+  const count = bounceBallCount(cw, ch, density);
+  balls.length = Math.min(balls.length, count);
+  while (balls.length < count) {
+    balls.push(createBounceBall(cw, ch, balls.length, random));
+  }
+  collideBounceBalls(balls, cw, ch);
+}
+
+registerStyle({
+  id: "bounce",
+  label: "Bounce+Neon Pulse",
+  tags: ["energetic", "playful", "neon", "colorful"],
+  params: {
+    density: { default: 1, min: 0.25, max: 3, step: 0.25, label: "Ball density", tags: ["density"] },
+    kick: { default: 1, min: 0, max: 3, step: 0.1, label: "Bass kick", tags: ["intensity"] },
+    trails: { type: "toggle", default: true, label: "Trails" },
+    warmth: { default: 0, min: -1, max: 1, step: 0.05, label: "Warmth", tags: ["warmth"] }
+  },
+
+  init(scene) {
+    const balls = [];
+    fitBounceBalls(balls, scene.width, scene.height, scene.params.density, scene.random);
+    return {
+      balls,
+      lastKick: -Infinity
+    };
+  },
+
+  resize(state, scene) {
+    fitBounceBalls(state.balls, scene.width, scene.height, scene.params.density, scene.random);
+  },
+
+  // Every beat kicks the balls upward
+  onBeat(state, beat, scene) {
+    state.lastKick = scene.time;
+    const strength = (350 + (scene.bands[0] + beat.strength) * 450) * scene.params.kick;
+    state.balls.forEach(b => {
+      b.vy -= strength * (0.6 + scene.random() * 0.4);
+      b.vx += (scene.random() - 0.5) * strength * 0.4;
+    });
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const bands = scene.bands;
+    const dt = Math.min(1 / 30, scene.dt);
+
+    scene.background("#05000f");
+
+    // Density param changed since the balls were created
+    if (state.balls.length !== bounceBallCount(cw, ch, scene.params.density)) {
+      fitBounceBalls(state.balls, cw, ch, scene.params.density, scene.random);
+    }
+
+    const bass = bands[0];
+
+    // Integrate in small steps so fast balls do not tunnel through each other
+    const steps = 2;
+    const h = dt / steps;
+    for (let s = 0; s < steps; s++) {
+      state.balls.forEach(b => {
+        b.vy += BOUNCE_GRAVITY * h;
+        b.x += b.vx * h;
+        b.y += b.vy * h;
+      });
+      collideBounceBalls(state.balls, cw, ch);
+    }
+
+    // Recent hits flash the whole scene a little brighter
+    const flash = Math.max(0, 1 - (scene.time - state.lastKick) / 0.3);
+
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    state.balls.forEach(b => {
+      const level = bands[b.band];
+      const hue = warmHue((b.hue + level * 120 + scene.time * 20) % 360, scene.params.warmth);
+      const glow = b.radius * (1.6 + level * 3 + flash);
+
+      recordTrail(b.trail, b.x, b.y, scene.time, BOUNCE_TRAIL);
+
+      // Trail fading with the time since the ball was there
+      if (scene.params.trails) {
+        b.trail.forEach(p => {
+          const age = 1 - (scene.time - p.time) / BOUNCE_TRAIL;
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, b.radius * (0.3 + age * 0.6), 0, Math.PI * 2);
+          ctx.fillStyle = `hsla(${hue}, 100%, 60%, ${age * 0.18})`;
+          ctx.fill();
+        });
+      }
+
+      // Neon glow
+      const gradient = ctx.createRadialGradient(b.x, b.y, b.radius * 0.4, b.x, b.y, glow);
+      gradient.addColorStop(0, `hsla(${hue}, 100%, 65%, ${0.55 + level * 0.45})`);
+      gradient.addColorStop(1, `hsla(${hue}, 100%, 50%, 0)`);
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, glow, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Bright core with a neon rim
+      ctx.beginPath();
+      ctx.arc(b.x, b.y, b.radius, 0, Math.PI * 2);
+      ctx.fillStyle = `hsla(${hue}, 100%, ${75 + flash * 20}%, 0.9)`;
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = `hsla(${(hue + 40) % 360}, 100%, 70%, 1)`;
+      ctx.stroke();
+    });
+    ctx.restore();
+
+    // Floor line that pulses with the bass
+    ctx.strokeStyle = `hsla(300, 100%, 60%, ${0.3 + bass * 0.7})`;
+    ctx.lineWidth = 2 + bass * 4;
+    ctx.beginPath();
+    ctx.moveTo(0, ch - 1);
+    ctx.lineTo(cw, ch - 1);
+    ctx.stroke();
+  }
+});
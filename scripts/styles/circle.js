@@ -0,0 +1,47 @@
+// circle.js - Circle style: radial spectrum, registered without a button
+
+registerStyle({
+  id: "circle",
+  label: "Circle",
+  tags: ["geometric"],
+  hidden: true,
+  params: {
+    radius: { default: 0.4, min: 0.1, max: 0.45, step: 0.05, label: "Radius", tags: ["size"] },
+    lineWidth: { default: 2, min: 1, max: 6, step: 0.5, label: "Line width" }
+  },
+
+  init() {
+    return {};
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    scene.background("#000015");
+    const cw = scene.width;
+    const ch = scene.height;
+    const centerX = cw / 2;
+    const centerY = ch / 2;
+    const radius = Math.min(cw, ch) * scene.params.radius;
+
+    ctx.lineWidth = scene.params.lineWidth;
+
+    for (let i = 0; i < scene.bufferLength; i++) {
+      const angle = (i * 2 * Math.PI) / scene.bufferLength;
+      const v = scene.level(i / scene.bufferLength);
+      const barHeight = v * radius * 0.5;
+
+      const x1 = centerX + Math.cos(angle) * radius;
+      const y1 = centerY + Math.sin(angle) * radius;
+      const x2 = centerX + Math.cos(angle) * (radius + barHeight);
+      const y2 = centerY + Math.sin(angle) * (radius + barHeight);
+
+      const hue = (i / scene.bufferLength) * 360;
+      ctx.strokeStyle = `hsl(${hue}, 80%, 60%)`;
+
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
+    }
+  }
+});
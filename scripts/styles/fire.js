@@ -0,0 +1,151 @@
+// fire.js - Firework style: every detected onset launches a rocket
+
+const FIREWORK_GRAVITY = 160;     // px/s^2
+const FIREWORK_MAX_SPARKS = 2500;
+const FIREWORK_TRAIL = 0.17;      // seconds of trail behind a rocket
+
+// Burst colors; the palette param picks one by name
+const FIREWORK_PALETTES = {
+  warm: [10, 35, 50, 330],        // red, orange, gold, pink
+  cool: [190, 210, 260, 290],     // cyan, blue, violet
+  rainbow: [0, 60, 120, 200, 280],
+  gold: [45, 50, 55]
+};
+
+function launchRocket(state, cw, ch, onset, palette, random) {
+  // Launch points walk across the width so bursts spread out
+  state.slot = (state.slot + 0.37 + random() * 0.25) % 1;
+  const x = cw * (0.08 + state.slot * 0.84);
+  const bassy = onset.low * 2 > onset.high;
+  const apex = ch * (0.15 + random() * 0.3) * (bassy ? 1 : 1.3);
+  state.rockets.push({
+    x,
+    y: ch,
+    vx: (random() - 0.5) * 40,
+    vy: -Math.sqrt(2 * FIREWORK_GRAVITY * (ch - apex)),
+    hue: palette[Math.floor(random() * palette.length)],
+    bassy,
+    strength: onset.strength,
+    trail: []
+  });
+}
+
+function burstRocket(state, rocket, random) {
+  // Bass: a big round peony. Treble: a tight crackle of flickering sparks.
+  const count = rocket.bassy ? 90 + Math.round(rocket.strength * 90) : 40 + Math.round(rocket.strength * 40);
+  const speed = rocket.bassy ? 140 + rocket.strength * 120 : 90 + rocket.strength * 60;
+  for (let i = 0; i < count && state.sparks.length < FIREWORK_MAX_SPARKS; i++) {
+    const angle = (i / count) * Math.PI * 2 + random() * 0.1;
+    const v = speed * (rocket.bassy ? 0.85 + random() * 0.15 : random());
+    state.sparks.push({
+      x: rocket.x,
+      y: rocket.y,
+      px: rocket.x,
+      py: rocket.y,
+      vx: Math.cos(angle) * v + rocket.vx,
+      vy: Math.sin(angle) * v + rocket.vy * 0.2,
+      hue: rocket.hue + (random() - 0.5) * 20,
+      life: 1,
+      decay: rocket.bassy ? 0.45 + random() * 0.2 : 0.9 + random() * 0.5,
+      crackle: !rocket.bassy,
+      size: rocket.bassy ? 2.2 : 1.4
+    });
+  }
+  state.flash = Math.max(state.flash, rocket.strength * (rocket.bassy ? 0.25 : 0.12));
+}
+
+registerStyle({
+  id: "fire",
+  label: "Firework",
+  tags: ["energetic", "festive", "night", "warm", "colorful"],
+  params: {
+    palette: {
+      type: "choice",
+      default: "warm",
+      options: { warm: "Warm", cool: "Cool", rainbow: "Rainbow", gold: "Gold" },
+      label: "Palette"
+    },
+    drag: { default: 1.2, min: 0, max: 4, step: 0.1, label: "Air drag" }
+  },
+
+  init(scene) {
+    return {
+      slot: scene.random(),
+      rockets: [],
+      sparks: [],
+      flash: 0
+    };
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const dt = Math.min(1 / 20, scene.dt);
+    const palette = FIREWORK_PALETTES[scene.params.palette] || FIREWORK_PALETTES.warm;
+
+    if (scene.onset && state.rockets.length < 12) {
+      launchRocket(state, cw, ch, scene.onset, palette, scene.random);
+    }
+
+    scene.background("#02020a");
+
+    // A brief sky glow after big bursts
+    if (state.flash > 0.01) {
+      ctx.fillStyle = `rgba(255, 220, 180, ${state.flash * 0.3})`;
+      ctx.fillRect(0, 0, cw, ch);
+      state.flash *= Math.exp(-dt * 6);
+    }
+
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    ctx.lineCap = "round";
+
+    // Rockets climb until they slow to a stop, then burst
+    state.rockets = state.rockets.filter(r => {
+      recordTrail(r.trail, r.x, r.y, scene.time, FIREWORK_TRAIL);
+      r.vy += FIREWORK_GRAVITY * dt;
+      r.x += r.vx * dt;
+      r.y += r.vy * dt;
+
+      ctx.strokeStyle = `hsla(${r.hue}, 60%, 75%, 0.8)`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      r.trail.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.lineTo(r.x, r.y);
+      ctx.stroke();
+
+      if (r.vy >= 0) {
+        burstRocket(state, r, scene.random);
+        return false;
+      }
+      return true;
+    });
+
+    // Sparks: gravity, drag and a fading streak from the previous position
+    const drag = Math.exp(-scene.params.drag * dt);
+    state.sparks = state.sparks.filter(s => {
+      s.px = s.x;
+      s.py = s.y;
+      s.vx *= drag;
+      s.vy = s.vy * drag + FIREWORK_GRAVITY * dt;
+      s.x += s.vx * dt;
+      s.y += s.vy * dt;
+      s.life -= s.decay * dt;
+      if (s.life <= 0) return false;
+
+      // Crackling sparks flicker near the end of their life
+      let alpha = s.life;
+      if (s.crackle && s.life < 0.6) alpha *= scene.random() < 0.5 ? 1 : 0.1;
+
+      ctx.strokeStyle = `hsla(${s.hue}, 100%, ${55 + s.life * 30}%, ${alpha})`;
+      ctx.lineWidth = s.size;
+      ctx.beginPath();
+      ctx.moveTo(s.px - s.vx * dt * 3, s.py - s.vy * dt * 3);
+      ctx.lineTo(s.x, s.y);
+      ctx.stroke();
+      return true;
+    });
+    ctx.restore();
+  }
+});
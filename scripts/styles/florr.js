@@ -0,0 +1,70 @@
+// florr.js - Florr (Flower) style: petals that open with their frequency bins
+
+registerStyle({
+  id: "florr",
+  label: "Florr",
+  tags: ["calm", "nature", "colorful"],
+  params: {
+    petalCount: { default: 12, min: 3, max: 36, step: 1, label: "Petals", tags: ["density"] },
+    centerColor: { type: "color", default: "#ebeb47", label: "Center color" },
+    warmth: { default: 0, min: -1, max: 1, step: 0.05, label: "Warmth", tags: ["warmth"] }
+  },
+
+  init() {
+    return {};
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+
+    scene.background("#000015");
+
+    // Create a flower-like visualization
+    const centerX = cw / 2;
+    const centerY = ch / 2;
+    const maxRadius = Math.min(cw, ch) * 0.4;
+
+    ctx.lineWidth = 2;
+
+    // Draw petals based on frequency data
+    const petalCount = scene.params.petalCount;
+    for (let i = 0; i < petalCount; i++) {
+      const angle = (i * 2 * Math.PI) / petalCount;
+      const v = scene.level(i / petalCount);
+
+      const petalLength = maxRadius * (0.5 + v * 0.5);
+      const petalWidth = maxRadius * 0.1 * (0.7 + v * 0.3);
+
+      const x1 = centerX + Math.cos(angle) * (maxRadius * 0.2);
+      const y1 = centerY + Math.sin(angle) * (maxRadius * 0.2);
+      const x2 = centerX + Math.cos(angle) * petalLength;
+      const y2 = centerY + Math.sin(angle) * petalLength;
+
+      // Draw petal
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.quadraticCurveTo(
+        centerX + Math.cos(angle) * (petalLength * 0.5) + Math.cos(angle + Math.PI/2) * petalWidth,
+        centerY + Math.sin(angle) * (petalLength * 0.5) + Math.sin(angle + Math.PI/2) * petalWidth,
+        x2, y2
+      );
+      ctx.quadraticCurveTo(
+        centerX + Math.cos(angle) * (petalLength * 0.5) + Math.cos(angle - Math.PI/2) * petalWidth,
+        centerY + Math.sin(angle) * (petalLength * 0.5) + Math.sin(angle - Math.PI/2) * petalWidth,
+        x1, y1
+      );
+
+      const hue = warmHue((i / petalCount) * 360, scene.params.warmth);
+      ctx.fillStyle = `hsla(${hue}, 80%, 60%, ${0.6 + v * 0.4})`;
+      ctx.fill();
+    }
+
+    // Draw center circle
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, maxRadius * 0.15, 0, Math.PI * 2);
+    ctx.fillStyle = hexToRgba(scene.params.centerColor, 0.8);
+    ctx.fill();
+  }
+});
@@ -0,0 +1,93 @@
+// galaxy.js - Galaxy style: rotating spiral arms around a pulsing core
+
+registerStyle({
+  id: "galaxy",
+  label: "Galaxy",
+  tags: ["calm", "space", "blue", "cool"],
+  params: {
+    armCount: { default: 4, min: 1, max: 8, step: 1, label: "Spiral arms", tags: ["density"] },
+    speed: { default: 1, min: 0.1, max: 3, step: 0.05, label: "Rotation speed", tags: ["speed"] },
+    coreColor: { type: "color", default: "#ffffc8", label: "Core color" },
+    warmth: { default: 0, min: -1, max: 1, step: 0.05, label: "Warmth", tags: ["warmth"] }
+  },
+
+  init(scene) {
+    // Background stars, placed as fractions of the canvas so they survive a resize
+    const stars = [];
+    for (let i = 0; i < 100; i++) {
+      stars.push({ x: scene.random(), y: scene.random(), size: scene.random() * 1.5, phase: scene.random() * Math.PI * 2 });
+    }
+    return { stars, rotation: 0 };
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+
+    const cw = scene.width;
+    const ch = scene.height;
+
+    // Space background
+    scene.background("#000010");
+
+    // Create galaxy center
+    const centerX = cw / 2;
+    const centerY = ch / 2;
+
+    // Draw spiral arms
+    const armCount = scene.params.armCount;
+    const energy = scene.energy;
+
+    // Louder music turns the arms faster
+    state.rotation += scene.dt * 0.2 * scene.params.speed * (0.5 + energy * 0.5);
+
+    for (let arm = 0; arm < armCount; arm++) {
+      const angleOffset = (arm * 2 * Math.PI) / armCount;
+
+      for (let i = 0; i < 200; i++) {
+        const distance = 10 + i * 2;
+        const angle = angleOffset + (i * 0.05) + state.rotation;
+
+        const x = centerX + Math.cos(angle) * distance;
+        const y = centerY + Math.sin(angle) * distance;
+
+        const size = 1 + (i % 3);
+        const alpha = 0.2 + (i / 200) * 0.8;
+
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+
+        // Vary star colors slightly
+        const hue = warmHue(240 + Math.sin(angle) * 30, scene.params.warmth);
+        ctx.fillStyle = `hsla(${hue}, 70%, 80%, ${alpha})`;
+        ctx.fill();
+      }
+    }
+
+    // Add central bulge with pulse effect
+    const pulse = 0.8 + Math.sin(scene.time * 2) * 0.2 * energy;
+    const gradient = ctx.createRadialGradient(centerX, centerY, 0, centerX, centerY, 80 * pulse);
+    gradient.addColorStop(0, hexToRgba(scene.params.coreColor, 0.8));
+    gradient.addColorStop(1, hexToRgba(scene.params.coreColor, 0));
+
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, 80 * pulse, 0, Math.PI * 2);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    // Twinkling stars in the background
+    state.stars.forEach(star => {
+      const x = star.x * cw;
+      const y = star.y * ch;
+      const distFromCenter = Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2));
+
+      // Fade stars near the center, and let them twinkle
+      const twinkle = 0.6 + Math.sin(scene.time * 3 + star.phase) * 0.4;
+      const alpha = Math.min(1, distFromCenter / 100) * 0.8 * twinkle;
+
+      ctx.beginPath();
+      ctx.arc(x, y, star.size, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255, 255, 255, ${alpha})`;
+      ctx.fill();
+    });
+  }
+});
@@ -0,0 +1,257 @@
+// manim.js - Manim style: Fourier epicycles tracing the waveform, 3Blue1Brown-like
+
+// Manim's default palette
+const MANIM_COLORS = {
+  blue: "#58C4DD",
+  teal: "#5CD0B3",
+  yellow: "#FFFF00",
+  gold: "#F0AC5F",
+  white: "#ECECEC",
+  grey: "#888888"
+};
+
+const MANIM_SAMPLES = 128; // points per analysed period
+
+// One oscilloscope-style window of the waveform, -1..1, starting at a rising zero
+// crossing so consecutive frames line up instead of sliding around
+function manimWindow(waveform) {
+  const span = Math.floor(waveform.length / 2);
+  const stride = Math.max(1, Math.floor(span / MANIM_SAMPLES));
+  let start = 0;
+  for (let i = 1; i < waveform.length - span; i++) {
+    if (waveform[i - 1] < 128 && waveform[i] >= 128) {
+      start = i;
+      break;
+    }
+  }
+
+  const samples = new Float32Array(MANIM_SAMPLES);
+  for (let n = 0; n < MANIM_SAMPLES; n++) {
+    samples[n] = (waveform[start + n * stride] - 128) / 128;
+  }
+  return samples;
+}
+
+// Discrete Fourier transform of a real window: { k, re, im } for k = 1..N/2-1,
+// scaled so that x[n] ~ sum of 2|X_k|/N cos(2 pi k n / N + arg X_k)
+function manimFourier(samples) {
+  const N = samples.length;
+  const terms = [];
+  for (let k = 1; k < N / 2; k++) {
+    let re = 0;
+    let im = 0;
+    for (let n = 0; n < N; n++) {
+      const angle = (2 * Math.PI * k * n) / N;
+      re += samples[n] * Math.cos(angle);
+      im -= samples[n] * Math.sin(angle);
+    }
+    terms.push({ k, re: (2 * re) / N, im: (2 * im) / N });
+  }
+  return terms;
+}
+
+function manimEaseInOut(t) {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Value of the partial sum at s (0..1 of one period)
+function manimSum(terms, s, grow) {
+  let y = 0;
+  terms.forEach(term => {
+    const amp = Math.hypot(term.re, term.im) * grow;
+    y += amp * Math.cos(2 * Math.PI * term.k * s + Math.atan2(term.im, term.re));
+  });
+  return y;
+}
+
+function manimSuperscript(number) {
+  const digits = "⁰¹²³⁴⁵⁶⁷⁸⁹";
+  return String(number).split("").map(d => digits[d]).join("");
+}
+
+function drawManimArrow(ctx, x1, y1, x2, y2) {
+  const angle = Math.atan2(y2 - y1, x2 - x1);
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+  ctx.beginPath();
+  ctx.moveTo(x2, y2);
+  ctx.lineTo(x2 - 9 * Math.cos(angle - 0.4), y2 - 9 * Math.sin(angle - 0.4));
+  ctx.lineTo(x2 - 9 * Math.cos(angle + 0.4), y2 - 9 * Math.sin(angle + 0.4));
+  ctx.closePath();
+  ctx.fill();
+}
+
+registerStyle({
+  id: "manim",
+  label: "Manim",
+  tags: ["calm", "geometric", "math", "blue"],
+  params: {
+    terms: { default: 16, min: 1, max: 48, step: 1, label: "Epicycles", tags: ["density"] },
+    speed: { default: 0.25, min: 0.05, max: 1, step: 0.05, label: "Cycles per second", tags: ["speed"] }
+  },
+
+  init(scene) {
+    return {
+      coeffs: new Map(),     // k -> eased { re, im }
+      startTime: scene.time,
+      phase: 0,
+      scale: 1,
+      dominantHz: 0
+    };
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const dt = scene.dt;
+
+    scene.background("#000015");
+
+    // Ease the coefficients toward this frame's transform so the circles glide
+    const ease = 1 - Math.exp(-dt * 8);
+    const target = manimFourier(manimWindow(scene.waveform));
+    target.forEach(term => {
+      const current = state.coeffs.get(term.k);
+      if (!current) {
+        state.coeffs.set(term.k, { k: term.k, re: term.re, im: term.im });
+        return;
+      }
+      current.re += (term.re - current.re) * ease;
+      current.im += (term.im - current.im) * ease;
+    });
+
+    const terms = Array.from(state.coeffs.values())
+      .sort((a, b) => Math.hypot(b.re, b.im) - Math.hypot(a.re, a.im))
+      .slice(0, scene.params.terms);
+
+    // Circles grow in when the style starts
+    const grow = manimEaseInOut(Math.min(1, (scene.time - state.startTime) / 1.5));
+    state.phase = (state.phase + dt * scene.params.speed) % 1;
+
+    // Layout: epicycles on the left, the traced graph on the right
+    const cy = ch * 0.55;
+    const cx = cw * 0.2;
+    const graphX0 = cw * 0.42;
+    const graphX1 = cw * 0.94;
+    const radiusSum = terms.reduce((sum, term) => sum + Math.hypot(term.re, term.im), 0);
+
+    let peak = 0.05;
+    const curve = [];
+    for (let m = 0; m <= 200; m++) {
+      const y = manimSum(terms, m / 200, grow);
+      curve.push(y);
+      peak = Math.max(peak, Math.abs(y));
+    }
+    const targetScale = Math.min((ch * 0.3) / peak, (cw * 0.16) / Math.max(radiusSum, 0.05));
+    state.scale += (targetScale - state.scale) * ease;
+    const scale = state.scale;
+
+    // Axes
+    ctx.strokeStyle = MANIM_COLORS.white;
+    ctx.fillStyle = MANIM_COLORS.white;
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.8;
+    drawManimArrow(ctx, graphX0, cy, graphX1 + 14, cy);
+    drawManimArrow(ctx, graphX0, cy + ch * 0.33, graphX0, cy - ch * 0.38);
+
+    ctx.font = "italic 16px 'Times New Roman', serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    ["T/4", "T/2", "3T/4", "T"].forEach((label, i) => {
+      const x = graphX0 + ((i + 1) / 4) * (graphX1 - graphX0);
+      ctx.beginPath();
+      ctx.moveTo(x, cy - 5);
+      ctx.lineTo(x, cy + 5);
+      ctx.stroke();
+      ctx.fillText(label, x, cy + 9);
+    });
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    ctx.fillText("t", graphX1 + 20, cy);
+    ctx.fillText("f(t)", graphX0 + 8, cy - ch * 0.38);
+    ctx.globalAlpha = 1;
+
+    // The traced curve: bright up to the current point, faint ahead of it
+    const pointer = Math.floor(state.phase * 200);
+    ctx.lineWidth = 2.5;
+    [[0, pointer, MANIM_COLORS.yellow, 1], [pointer, 200, MANIM_COLORS.grey, 0.35]].forEach(([from, to, color, alpha]) => {
+      ctx.beginPath();
+      for (let m = from; m <= to; m++) {
+        const x = graphX0 + (m / 200) * (graphX1 - graphX0);
+        const y = cy - curve[m] * scale;
+        if (m === from) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.globalAlpha = alpha;
+      ctx.strokeStyle = color;
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+
+    // Epicycles: each term is a rotating vector on the tip of the previous one
+    let x = cx;
+    let y = cy;
+    terms.forEach((term, i) => {
+      const radius = Math.hypot(term.re, term.im) * grow * scale;
+      const angle = 2 * Math.PI * term.k * state.phase + Math.atan2(term.im, term.re);
+      const nx = x + radius * Math.sin(angle);
+      const ny = y - radius * Math.cos(angle);
+
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.strokeStyle = i === 0 ? MANIM_COLORS.teal : MANIM_COLORS.blue;
+      ctx.globalAlpha = 0.25 + 0.35 * (1 - i / terms.length);
+      ctx.lineWidth = 1;
+      ctx.stroke();
+
+      ctx.globalAlpha = 0.9;
+      ctx.strokeStyle = MANIM_COLORS.white;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+      ctx.lineTo(nx, ny);
+      ctx.stroke();
+
+      x = nx;
+      y = ny;
+    });
+    ctx.globalAlpha = 1;
+
+    // Connector from the tip to the point being traced
+    const traceX = graphX0 + state.phase * (graphX1 - graphX0);
+    const traceY = cy - manimSum(terms, state.phase, grow) * scale;
+    ctx.setLineDash([4, 6]);
+    ctx.strokeStyle = MANIM_COLORS.gold;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(traceX, traceY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.fillStyle = MANIM_COLORS.yellow;
+    ctx.beginPath();
+    ctx.arc(traceX, traceY, 4 + scene.energy * 4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Captions: the series, and the loudest frequency in the spectrum
+    let peakBin = 1;
+    for (let i = 2; i < scene.bufferLength; i++) {
+      if (scene.spectrum[i] > scene.spectrum[peakBin]) peakBin = i;
+    }
+    const hz = scene.spectrum[peakBin] > 0 ? (peakBin * scene.sampleRate) / (2 * scene.bufferLength) : 0;
+    state.dominantHz += (hz - state.dominantHz) * ease;
+
+    ctx.fillStyle = MANIM_COLORS.white;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "alphabetic";
+    ctx.font = "italic 24px 'Times New Roman', serif";
+    ctx.fillText(`f(t) ≈ ∑ₖ₌₁${manimSuperscript(terms.length)} aₖ cos(2πkt/T + φₖ)`, cw / 2, ch * 0.1);
+    ctx.font = "italic 18px 'Times New Roman', serif";
+    ctx.fillStyle = MANIM_COLORS.gold;
+    ctx.fillText(`f₀ ≈ ${Math.round(state.dominantHz)} Hz`, cw / 2, ch * 0.1 + 30);
+  }
+});
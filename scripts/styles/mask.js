@@ -0,0 +1,82 @@
+// mask.js - Mask style (previously Hacker): code rain whose columns follow the spectrum
+
+// The glyphs each character set draws from
+const MASK_CHARSETS = {
+  mixed: "01ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz$%#@!*&",
+  binary: "01",
+  hex: "0123456789ABCDEF",
+  katakana: "\u30a2\u30a4\u30a6\u30a8\u30aa\u30ab\u30ad\u30af\u30b1\u30b3\u30b5\u30b7\u30b9\u30bb\u30bd\u30bf\u30c1\u30c4\u30c6\u30c8\u30ca\u30cb\u30cc\u30cd\u30ce"
+};
+
+registerStyle({
+  id: "mask",
+  label: "Mask",
+  tags: ["dark", "mysterious"],
+  params: {
+    fontSize: { default: 14, min: 8, max: 32, step: 1, label: "Font size", tags: ["size"] },
+    charset: {
+      type: "choice",
+      default: "mixed",
+      options: { mixed: "Letters and symbols", binary: "Binary", hex: "Hex", katakana: "Katakana" },
+      label: "Characters"
+    }
+  },
+
+  init() {
+    return {};
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+
+    // Dark background
+    scene.background("#001100");
+
+    // Matrix-like code rain
+    const chars = MASK_CHARSETS[scene.params.charset] || MASK_CHARSETS.mixed;
+    const fontSize = scene.params.fontSize;
+    ctx.font = `${fontSize}px monospace`;
+
+    // Calculate columns based on font size
+    const cols = Math.floor(cw / fontSize);
+
+    // Draw falling characters
+    for (let i = 0; i < cols; i++) {
+      const v = scene.level(i / cols);
+
+      // Vary the number of characters in this column based on frequency
+      const charCount = Math.floor(5 + v * 15);
+
+      for (let j = 0; j < charCount; j++) {
+        const yPos = ((scene.time * 1000 / 30) + j * fontSize) % (ch + fontSize * 5);
+        // Glyphs change 15 times a second, the same way every time the track plays
+        const char = chars[Math.floor(stableRandom(i, j, Math.floor(scene.time * 15)) * chars.length)];
+
+        // Fade out as they fall
+        const alpha = 1 - (yPos / ch);
+
+        // Highlight the first character in each column
+        if (j === 0) {
+          ctx.fillStyle = `rgba(0, 255, 0, ${alpha})`;
+        } else {
+          ctx.fillStyle = `rgba(0, 200, 0, ${alpha * 0.7})`;
+        }
+
+        ctx.fillText(char, i * fontSize, yPos);
+      }
+    }
+
+    // A ring that bursts outward on every beat
+    const energy = scene.energy;
+    const pulse = 1 - scene.beatPhase;
+    if (pulse > 0) {
+      ctx.strokeStyle = `rgba(0, 255, 0, ${(0.2 + energy * 0.3) * pulse})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(cw/2, ch/2, 50 + energy * 100 + scene.beatPhase * 80, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+});
@@ -0,0 +1,173 @@
+// metro.js - Metropolis style: a seeded, scrolling skyline whose buildings are equalizer bars
+
+// One repeating strip of buildings per layer, 1.5 canvas widths long so the scroll wraps unseen.
+// Each building listens to one point of the band levels, low to high along the strip.
+// The city has its own seed param, so the same seed always builds the same city.
+function createMetroCity(seed, layerCount, cw, ch) {
+  const random = createRandom(seed);
+  const layers = [];
+  for (let l = 0; l < layerCount; l++) {
+    const depth = layerCount > 1 ? l / (layerCount - 1) : 1; // 0 = far, 1 = near
+    const stripWidth = cw * 1.5;
+    const buildings = [];
+    let x = 0;
+    while (x < stripWidth) {
+      const width = (18 + random() * 40) * (0.6 + depth * 0.6);
+      buildings.push({
+        x,
+        width: Math.min(width, stripWidth - x),
+        base: ch * (0.12 + random() * 0.18) * (0.7 + depth * 0.5),
+        roof: random() < 0.25 ? Math.floor(random() * 3) + 1 : 0, // antenna / step / spire
+        level: 0
+      });
+      x += width + 2 + random() * 6;
+    }
+    buildings.forEach((b, i) => {
+      b.position = i / buildings.length;
+      b.id = l * 1000 + i;
+    });
+
+    const stars = [];
+    if (l === 0) {
+      for (let s = 0; s < 120; s++) {
+        stars.push({ x: random() * cw, y: random() * ch * 0.6, size: random() * 1.4 + 0.3 });
+      }
+    }
+    layers.push({ depth, stripWidth, buildings, stars, scroll: random() * stripWidth });
+  }
+  return layers;
+}
+
+function drawMetroBuilding(ctx, b, x, groundY, height, depth, lit, night) {
+  const top = groundY - height;
+  const shade = 10 + depth * 12;
+  ctx.fillStyle = `hsl(230, 25%, ${shade + (1 - night) * 25}%)`;
+  ctx.fillRect(x, top, b.width, height);
+
+  // Rooftop details
+  ctx.fillRect(x + b.width * 0.3, top - 4, b.width * 0.4, 4);
+  if (b.roof === 1) {
+    ctx.fillRect(x + b.width / 2 - 1, top - 18, 2, 14);
+    ctx.fillStyle = `rgba(255, 60, 60, ${0.4 + lit * 0.6})`;
+    ctx.fillRect(x + b.width / 2 - 2, top - 20, 4, 3);
+  } else if (b.roof === 2) {
+    ctx.beginPath();
+    ctx.moveTo(x + b.width * 0.2, top - 4);
+    ctx.lineTo(x + b.width / 2, top - 16);
+    ctx.lineTo(x + b.width * 0.8, top - 4);
+    ctx.fill();
+  }
+
+  // Windows: more of them light up as the building's band gets louder
+  const winW = 3 + depth * 2;
+  const winH = 4 + depth * 2;
+  const cols = Math.floor((b.width - 4) / (winW + 3));
+  const rows = Math.floor((height - 8) / (winH + 4));
+  const litFraction = 0.08 + lit * 0.9;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const h = stableRandom(b.id, r, c);
+      if (h > litFraction) continue;
+      const warm = h * 2 < litFraction;
+      ctx.fillStyle = warm
+        ? `rgba(255, 214, 130, ${0.5 + lit * 0.5})`
+        : `rgba(170, 220, 255, ${0.4 + lit * 0.5})`;
+      ctx.fillRect(x + 3 + c * (winW + 3), top + 6 + r * (winH + 4), winW, winH);
+    }
+  }
+}
+
+registerStyle({
+  id: "metro",
+  label: "Metropolis",
+  tags: ["city", "night", "energetic"],
+  params: {
+    seed: { default: 101, min: 1, max: 9999, step: 1, label: "City seed" },
+    layerCount: { default: 3, min: 1, max: 5, step: 1, label: "Layers", tags: ["density"] },
+    speed: { default: 1, min: 0, max: 4, step: 0.1, label: "Scroll speed", tags: ["speed"] },
+    traffic: { type: "toggle", default: true, label: "Traffic" }
+  },
+
+  init() {
+    return {
+      city: null,
+      key: "",          // seed/layers/size the city was built for
+      loudness: 0
+    };
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const dt = scene.dt;
+
+    // Rebuild only when the seed, layer count or size changes
+    const key = `${scene.params.seed}/${scene.params.layerCount}/${Math.round(cw)}x${Math.round(ch)}`;
+    if (key !== state.key) {
+      state.city = createMetroCity(scene.params.seed, scene.params.layerCount, cw, ch);
+      state.key = key;
+    }
+
+    // Quiet passages are night; loud ones bring the sky toward dusk
+    state.loudness += (scene.energy - state.loudness) * Math.min(1, dt * 1.5);
+    const night = Math.max(0, 1 - state.loudness * 2);
+
+    scene.background("#000015");
+    const sky = ctx.createLinearGradient(0, 0, 0, ch);
+    sky.addColorStop(0, `hsla(${230 - (1 - night) * 20}, 60%, ${6 + (1 - night) * 30}%, 0.9)`);
+    sky.addColorStop(0.7, `hsla(${260 + (1 - night) * 100}, 50%, ${12 + (1 - night) * 45}%, 0.8)`);
+    sky.addColorStop(1, `hsla(${30 + night * 200}, 70%, ${20 + (1 - night) * 40}%, 0.8)`);
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, cw, ch);
+
+    const groundY = ch * 0.86;
+
+    state.city.forEach(layer => {
+      // Stars fade out as the sky brightens
+      ctx.fillStyle = `rgba(255, 255, 255, ${night * 0.8})`;
+      layer.stars.forEach(s => ctx.fillRect(s.x, s.y, s.size, s.size));
+
+      layer.scroll = (layer.scroll + dt * scene.params.speed * (10 + layer.depth * 50)) % layer.stripWidth;
+      const layerGround = groundY - (1 - layer.depth) * ch * 0.08;
+
+      // Far layers sit in haze
+      ctx.globalAlpha = 0.55 + layer.depth * 0.45;
+      layer.buildings.forEach(b => {
+        const target = scene.level(b.position);
+        b.level += (target - b.level) * Math.min(1, dt * 10);
+
+        let x = b.x - layer.scroll;
+        if (x + b.width < 0) x += layer.stripWidth;
+        if (x > cw) return;
+
+        const height = b.base + b.level * ch * (0.25 + layer.depth * 0.25);
+        drawMetroBuilding(ctx, b, x, layerGround, height, layer.depth, b.level, night);
+      });
+      ctx.globalAlpha = 1;
+    });
+
+    // Road with light streaks: headlights one way, taillights the other
+    ctx.fillStyle = "#07070d";
+    ctx.fillRect(0, groundY, cw, ch - groundY);
+    const laneY = [groundY + (ch - groundY) * 0.35, groundY + (ch - groundY) * 0.7];
+    const cars = scene.params.traffic ? 6 + Math.round(scene.energy * 18) : 0;
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    for (let i = 0; i < cars; i++) {
+      const lane = i % 2;
+      const speed = (80 + stableRandom(i, 7, scene.params.seed) * 160) * (0.5 + scene.params.speed * 0.5);
+      const span = cw + 200;
+      let x = (stableRandom(i, 3, scene.params.seed) * span + scene.time * speed) % span - 100;
+      if (lane === 1) x = cw - x;
+      const length = 40 + state.loudness * 80;
+      const gradient = ctx.createLinearGradient(x, 0, lane === 0 ? x - length : x + length, 0);
+      const color = lane === 0 ? "255, 240, 200" : "255, 50, 40";
+      gradient.addColorStop(0, `rgba(${color}, 0.9)`);
+      gradient.addColorStop(1, `rgba(${color}, 0)`);
+      ctx.fillStyle = gradient;
+      ctx.fillRect(Math.min(x, lane === 0 ? x - length : x + length), laneY[lane] - 1.5, length, 3);
+    }
+    ctx.restore();
+  }
+});
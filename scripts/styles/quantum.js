@@ -0,0 +1,95 @@
+// quantum.js - Quantum style: entangled particles and interference waves
+
+const QUANTUM_LINK_DISTANCE = 100;
+
+// A particle drifting at up to 60 units/s; hues step along the order they appear in
+function spawnQuantumParticle(system, cw, ch, random) {
+  const hue = system.particles.length * 10;
+  return system.spawn(p => {
+    p.x = random() * cw;
+    p.y = random() * ch;
+    p.vx = (random() - 0.5) * 120;
+    p.vy = (random() - 0.5) * 120;
+    p.size = random() * 4 + 1;
+    p.hue = hue;
+  });
+}
+
+registerStyle({
+  id: "quantum",
+  label: "Quantum",
+  tags: ["energetic", "space", "colorful"],
+  params: {
+    particleCount: { default: 50, min: 10, max: 400, step: 5, label: "Particles", tags: ["density"] },
+    warmth: { default: 0, min: -1, max: 1, step: 0.05, label: "Warmth", tags: ["warmth"] }
+  },
+
+  init(scene) {
+    // The grid's cells match the link distance, so links only look at nearby particles
+    const system = createParticleSystem({ capacity: 400, edges: "bounce", cellSize: QUANTUM_LINK_DISTANCE });
+    system.resize(scene.width, scene.height);
+    return { system, hueRotation: 0 };
+  },
+
+  resize(state, scene) {
+    state.system.resize(scene.width, scene.height);
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const system = state.system;
+
+    // Dark background
+    scene.background("#000015");
+
+    // Add or drop particles when the count changes, rather than starting over
+    const particleCount = scene.params.particleCount;
+    while (system.particles.length < particleCount && spawnQuantumParticle(system, cw, ch, scene.random));
+    system.trim(particleCount);
+
+    // Louder music, faster particles
+    const energy = scene.energy;
+    system.update(scene.dt * (0.5 + energy * 0.5));
+
+    // Connections between nearby particles, under the particles
+    ctx.lineWidth = 1;
+    system.forEachPair(QUANTUM_LINK_DISTANCE, (a, b, dist) => {
+      const hue = warmHue((a.hue + state.hueRotation) % 360, scene.params.warmth);
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.strokeStyle = `hsla(${hue}, 100%, 50%, ${0.35 * (1 - dist / QUANTUM_LINK_DISTANCE)})`;
+      ctx.stroke();
+    });
+
+    // Draw particles
+    system.particles.forEach(p => {
+      const hue = warmHue((p.hue + state.hueRotation) % 360, scene.params.warmth);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+      ctx.fillStyle = `hsl(${hue}, 100%, 60%)`;
+      ctx.fill();
+    });
+
+    // Rotate hues over time, 60 degrees a second
+    state.hueRotation = (state.hueRotation + scene.dt * 60) % 360;
+
+    // Add wave interference patterns
+    const time = scene.time;
+    for (let i = 0; i < 5; i++) {
+      const v = scene.level(i / 5);
+
+      ctx.beginPath();
+      for (let x = 0; x < cw; x += 10) {
+        const y = ch/2 + Math.sin(x * 0.02 + time * (1 + i)) * 30 * v;
+        if (x === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.strokeStyle = `hsla(${180 + i * 36}, 100%, 60%, ${0.3 + v * 0.4})`;
+      ctx.lineWidth = 2;
+      ctx.stroke();
+    }
+  }
+});
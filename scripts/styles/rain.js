@@ -0,0 +1,229 @@
+// rain.js - Rain style: a gentle rain on a window pane over blurred city lights and a puddle
+
+const RAIN_MAX_DROPS = 400;
+const RAIN_SLIDE_RADIUS = 3.2;   // drops this big slide down the pane
+const RAIN_EVAPORATION = 0.15;   // radius a resting drop loses a second as it dries
+const RAIN_MAX_RIPPLES = 60;
+
+function createRainBokeh(cw, ch, random) {
+  const lights = [];
+  const palette = [35, 45, 200, 330, 20];
+  for (let i = 0; i < 40; i++) {
+    lights.push({
+      x: random() * cw,
+      y: ch * (0.1 + random() * 0.55),
+      radius: 12 + random() * 38,
+      hue: palette[i % palette.length] + (random() - 0.5) * 16,
+      phase: random() * Math.PI * 2,
+      band: i % 4
+    });
+  }
+  return lights;
+}
+
+function createRainDrop(cw, ch, radius, random) {
+  return {
+    x: random() * cw,
+    y: random() * ch * 0.95,
+    radius,
+    vy: 0,
+    wobble: random() * Math.PI * 2,
+    trailTimer: 0,
+    age: 0
+  };
+}
+
+// Adds drop, or once the pane is full puts it in place of the oldest resting drop,
+// so new rain keeps landing however heavy it gets
+function addRainDrop(drops, drop) {
+  if (drops.length < RAIN_MAX_DROPS) {
+    drops.push(drop);
+    return;
+  }
+  let oldest = -1;
+  for (let i = 0; i < drops.length; i++) {
+    if (drops[i].radius < RAIN_SLIDE_RADIUS && (oldest === -1 || drops[i].age > drops[oldest].age)) oldest = i;
+  }
+  if (oldest !== -1) drops[oldest] = drop;
+}
+
+function drawRainDrop(ctx, d) {
+  // Dark rim and a bright refraction spot read as water on glass
+  const gradient = ctx.createRadialGradient(
+    d.x - d.radius * 0.3, d.y - d.radius * 0.3, d.radius * 0.1,
+    d.x, d.y, d.radius
+  );
+  gradient.addColorStop(0, "rgba(255, 255, 255, 0.55)");
+  gradient.addColorStop(0.5, "rgba(180, 200, 230, 0.15)");
+  gradient.addColorStop(1, "rgba(10, 15, 30, 0.45)");
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.ellipse(d.x, d.y, d.radius * 0.9, d.radius, 0, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+registerStyle({
+  id: "rain",
+  label: "Rain",
+  tags: ["calm", "city", "night", "melancholy", "blue", "cool"],
+  params: {
+    intensity: { default: 1, min: 0.2, max: 3, step: 0.1, label: "Rain intensity", tags: ["density", "intensity"] },
+    blur: { default: 1, min: 0, max: 2, step: 0.1, label: "Background blur" }
+  },
+
+  init(scene) {
+    return {
+      lights: createRainBokeh(scene.width, scene.height, scene.random),
+      drops: [],
+      ripples: [],
+      rippleDebt: 0,
+      dropDebt: 0,
+      mid: 0
+    };
+  },
+
+  resize(state, scene) {
+    state.lights = createRainBokeh(scene.width, scene.height, scene.random);
+    state.drops = state.drops.filter(d => d.x < scene.width && d.y < scene.height);
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const bands = scene.bands;
+    const dt = scene.dt;
+    const intensity = scene.params.intensity;
+    const horizon = ch * 0.72;
+
+    // Mid bands, eased so the rain swells and settles rather than jumping
+    state.mid += ((bands[1] + bands[2]) / 2 - state.mid) * Math.min(1, dt * 2);
+
+    scene.background("#0a0f1e");
+    const sky = ctx.createLinearGradient(0, 0, 0, horizon);
+    sky.addColorStop(0, "rgba(15, 22, 45, 0.85)");
+    sky.addColorStop(1, "rgba(45, 45, 70, 0.85)");
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, cw, horizon);
+
+    // Out-of-focus city lights, breathing slowly with their bands
+    ctx.save();
+    ctx.globalCompositeOperation = "lighter";
+    state.lights.forEach(light => {
+      const pulse = 0.5 + 0.5 * Math.sin(scene.time * 0.4 + light.phase);
+      const radius = light.radius * (0.8 + scene.params.blur * 0.4);
+      const alpha = (0.12 + pulse * 0.08 + bands[light.band] * 0.2) * (0.6 + scene.params.blur * 0.2);
+      const gradient = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, radius);
+      gradient.addColorStop(0, `hsla(${light.hue}, 80%, 65%, ${alpha})`);
+      gradient.addColorStop(0.7, `hsla(${light.hue}, 80%, 55%, ${alpha * 0.6})`);
+      gradient.addColorStop(1, `hsla(${light.hue}, 80%, 50%, 0)`);
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(light.x, light.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+
+      // Blurred reflection in the puddle
+      const ry = horizon + (horizon - light.y) * 0.35;
+      ctx.fillStyle = `hsla(${light.hue}, 70%, 55%, ${alpha * 0.35})`;
+      ctx.beginPath();
+      ctx.ellipse(light.x, ry, radius * 0.8, radius * 0.25, 0, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.restore();
+
+    // Puddle surface
+    const puddle = ctx.createLinearGradient(0, horizon, 0, ch);
+    puddle.addColorStop(0, "rgba(30, 35, 60, 0.55)");
+    puddle.addColorStop(1, "rgba(8, 10, 22, 0.9)");
+    ctx.fillStyle = puddle;
+    ctx.fillRect(0, horizon, cw, ch - horizon);
+
+    // Ripples spawn faster as the mids rise
+    state.rippleDebt += dt * (1.5 + state.mid * 14) * intensity;
+    while (state.rippleDebt >= 1) {
+      state.rippleDebt -= 1;
+      if (state.ripples.length < RAIN_MAX_RIPPLES) {
+        const depth = scene.random();
+        state.ripples.push({
+          x: scene.random() * cw,
+          y: horizon + depth * (ch - horizon),
+          depth,
+          age: 0,
+          life: 1.4 + scene.random() * 0.8
+        });
+      }
+    }
+    ctx.lineWidth = 1;
+    state.ripples = state.ripples.filter(r => {
+      r.age += dt;
+      if (r.age >= r.life) return false;
+      const t = r.age / r.life;
+      const scale = 0.4 + r.depth * 0.8; // nearer ripples look bigger
+      for (let ring = 0; ring < 2; ring++) {
+        const radius = (t * 30 - ring * 8) * scale;
+        if (radius <= 0) continue;
+        ctx.strokeStyle = `rgba(200, 215, 240, ${(1 - t) * 0.35})`;
+        ctx.beginPath();
+        ctx.ellipse(r.x, r.y, radius, radius * 0.3, 0, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+      return true;
+    });
+
+    // Droplets land on the glass; big enough ones slide and sweep up what they touch
+    state.dropDebt += dt * (6 + scene.energy * 20) * intensity;
+    while (state.dropDebt >= 1) {
+      state.dropDebt -= 1;
+      addRainDrop(state.drops, createRainDrop(cw, ch, 1 + scene.random() * scene.random() * 4, scene.random));
+    }
+
+    // Resting drops dry up and disappear; a radius of 0 is removed below
+    const drops = state.drops;
+    drops.forEach(d => {
+      d.age += dt;
+      if (d.radius < RAIN_SLIDE_RADIUS) {
+        d.radius = Math.max(0, d.radius - dt * RAIN_EVAPORATION);
+        return;
+      }
+      d.vy = Math.min(d.vy + dt * 60, 20 + d.radius * 14);
+      d.y += d.vy * dt;
+      d.wobble += dt * 3;
+      d.x += Math.sin(d.wobble) * dt * 6;
+
+      // A sliding drop leaves small beads behind and shrinks a little
+      d.trailTimer += dt;
+      if (d.trailTimer > 0.12) {
+        d.trailTimer = 0;
+        const bead = createRainDrop(cw, ch, d.radius * 0.25, scene.random);
+        bead.x = d.x + (scene.random() - 0.5) * d.radius * 0.5;
+        bead.y = d.y - d.radius * 1.5;
+        addRainDrop(drops, bead);
+        d.radius *= 0.985;
+      }
+    });
+
+    // Merge overlapping drops, keeping the combined area
+    drops.sort((a, b) => a.x - b.x);
+    for (let i = 0; i < drops.length; i++) {
+      const a = drops[i];
+      if (a.radius === 0) continue;
+      for (let j = i + 1; j < drops.length && drops[j].x - a.x < 20; j++) {
+        const b = drops[j];
+        if (b.radius === 0) continue;
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        if (dx * dx + dy * dy < Math.pow((a.radius + b.radius) * 0.8, 2)) {
+          const keep = a.radius >= b.radius ? a : b;
+          const lose = keep === a ? b : a;
+          keep.radius = Math.min(9, Math.sqrt(a.radius * a.radius + b.radius * b.radius));
+          keep.vy = Math.max(a.vy, b.vy);
+          lose.radius = 0;
+          if (lose === a) break;
+        }
+      }
+    }
+    state.drops = drops.filter(d => d.radius > 0 && d.y - d.radius < ch);
+
+    state.drops.forEach(d => drawRainDrop(ctx, d));
+  }
+});
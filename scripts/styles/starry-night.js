@@ -0,0 +1,108 @@
+// starry-night.js - StarryNight style: drifting, twinkling star field
+
+// A star drifting down at 6-36 units/s
+function spawnStar(system, cw, ch, random) {
+  return system.spawn(p => {
+    p.x = random() * cw;
+    p.y = random() * ch;
+    p.vy = random() * 30 + 6;
+    p.size = random() * 2 + 0.5;
+    p.brightness = random() * 0.5 + 0.5;
+  });
+}
+
+registerStyle({
+  id: "star",
+  label: "StarryNight",
+  tags: ["calm", "night", "space", "blue"],
+  params: {
+    starCount: { default: 200, min: 20, max: 3000, step: 10, label: "Stars", tags: ["density"] }
+  },
+
+  init(scene) {
+    // Stars leaving the bottom come back in at the top
+    const stars = createParticleSystem({ capacity: 3000, edges: "wrap" });
+    const meteors = createParticleSystem({ capacity: 8, edges: "remove" });
+    stars.resize(scene.width, scene.height);
+    meteors.resize(scene.width, scene.height);
+
+    // Shooting stars streak down and to the left for a quarter of a second
+    const random = scene.random;
+    const shooting = meteors.addEmitter(createEmitter(0, p => {
+      const speed = 500 + random() * 300;
+      p.x = random() * meteors.bounds.width;
+      p.y = 0;
+      p.vx = -speed / 4;
+      p.vy = speed;
+      p.life = 0.25;
+      p.length = 50 + random() * 100;
+    }));
+    return { stars, meteors, shooting };
+  },
+
+  resize(state, scene) {
+    state.stars.resize(scene.width, scene.height);
+    state.meteors.resize(scene.width, scene.height);
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const stars = state.stars;
+
+    // Dark blue background for space
+    scene.background("#000020");
+
+    // Add or drop stars when the count changes
+    while (stars.particles.length < scene.params.starCount && spawnStar(stars, cw, ch, scene.random));
+    stars.trim(scene.params.starCount);
+
+    // Stars drift faster with the music, and shooting stars come more often
+    const energy = scene.energy;
+    stars.update(scene.dt * (1 + energy * 0.5));
+    state.shooting.rate = 0.6 * energy;
+    state.meteors.update(scene.dt);
+
+    stars.particles.forEach(star => {
+      // Twinkle effect based on audio
+      const twinkle = 0.7 + Math.sin(scene.time + star.x * 0.1) * 0.3 * energy;
+
+      ctx.beginPath();
+      ctx.arc(star.x, star.y, star.size * (0.8 + energy * 0.5), 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(255, 255, 255, ${star.brightness * twinkle * 0.8})`;
+      ctx.fill();
+    });
+
+    // Shooting stars, their tails trailing back along their path
+    ctx.lineWidth = 2;
+    state.meteors.particles.forEach(p => {
+      const speed = Math.sqrt(p.vx * p.vx + p.vy * p.vy);
+      ctx.strokeStyle = `rgba(255, 255, 255, ${0.8 * (1 - p.age / p.life)})`;
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(p.x - (p.vx / speed) * p.length, p.y - (p.vy / speed) * p.length);
+      ctx.stroke();
+    });
+
+    // Add some larger "special" stars that pulse with the beat
+    for (let i = 0; i < 5; i++) {
+      const v = scene.level(i / 5);
+
+      const x = (i + 1) * cw / 6;
+      const y = ch / 2;
+      const size = 3 + v * 10;
+
+      ctx.beginPath();
+      ctx.arc(x, y, size, 0, Math.PI * 2);
+
+      // Create gradient for special stars
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, size);
+      gradient.addColorStop(0, `hsl(${i * 72}, 100%, 90%)`);
+      gradient.addColorStop(1, `hsl(${i * 72}, 100%, 50%, 0.3)`);
+
+      ctx.fillStyle = gradient;
+      ctx.fill();
+    }
+  }
+});
@@ -0,0 +1,127 @@
+// storm.js - Storm style: lightning on the beat over driving rain
+
+// Lightning is a full-screen flash, so it stays rare: only loud passages, only
+// some of their beats, and never twice within a few seconds. The params can't
+// lift the chance past 0.25 or the energy below 0.5, and the interval is fixed.
+const STORM_STRIKE_INTERVAL = 3;     // seconds, at least, between strikes
+
+// A drop falling at 250-450 units/s from the top edge
+function initRainDrop(p, width, random) {
+  p.x = random() * width;
+  p.vy = 250 + random() * 200;
+}
+
+registerStyle({
+  id: "storm",
+  label: "Storm",
+  tags: ["dark", "intense", "energetic", "nature"],
+  params: {
+    dropCount: { default: 100, min: 0, max: 300, step: 10, label: "Rain drops", tags: ["density"] },
+    strikeChance: { default: 0.1, min: 0, max: 0.25, step: 0.01, label: "Lightning chance", tags: ["intensity"] },
+    strikeEnergy: { default: 0.7, min: 0.5, max: 1, step: 0.05, label: "Lightning energy" }
+  },
+
+  init(scene) {
+    const random = scene.random;
+    const rain = createParticleSystem({ capacity: 400, edges: "remove" });
+    rain.resize(scene.width, scene.height);
+    const drops = rain.addEmitter(createEmitter(0, p => initRainDrop(p, rain.bounds.width, random)));
+    // Each strike sends a gust that blows the rain sideways
+    const gust = rain.addForce(impulseForce(random));
+    // Start mid-shower
+    for (let i = 0; i < scene.params.dropCount; i++) {
+      rain.spawn(p => {
+        initRainDrop(p, scene.width, random);
+        p.y = random() * scene.height;
+      });
+    }
+
+    // Short-lived sparks of the storm's intensity
+    const sparks = createParticleSystem({ capacity: 100 });
+    sparks.addEmitter(createEmitter(300, p => {
+      p.x = random() * sparks.bounds.width;
+      p.y = random() * sparks.bounds.height;
+      p.life = 0.1;
+      p.band = random();
+    }));
+    sparks.resize(scene.width, scene.height);
+
+    return { strike: null, lastStrike: -Infinity, rain, drops, gust, sparks };
+  },
+
+  resize(state, scene) {
+    state.rain.resize(scene.width, scene.height);
+    state.sparks.resize(scene.width, scene.height);
+  },
+
+  // Now and then a beat in a loud passage calls down a bolt, which then fades over a beat
+  onBeat(state, beat, scene) {
+    if (scene.energy < scene.params.strikeEnergy) return;
+    if (scene.time - state.lastStrike < STORM_STRIKE_INTERVAL) return;
+    if (scene.random() >= scene.params.strikeChance) return;
+    const points = [];
+    const startX = scene.random() * scene.width;
+    points.push({ x: startX, y: 0 });
+    for (let y = 10; y < scene.height; y += 10 + scene.random() * 20) {
+      const xVar = 20 + scene.random() * 30;
+      points.push({ x: startX - xVar + scene.random() * xVar * 2, y });
+    }
+    // Fades over one beat at the current tempo, half a second if it is not known yet
+    const duration = beat.bpm > 0 ? Math.min(60 / beat.bpm, 1) : 0.5;
+    state.strike = { points, width: 2 + beat.strength * 3, time: scene.time, duration };
+    state.lastStrike = scene.time;
+    state.gust.trigger(beat.strength * 120, { dx: scene.random() < 0.5 ? -1 : 1 });
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+
+    // Storm background
+    const gradient = ctx.createLinearGradient(0, 0, 0, ch);
+    gradient.addColorStop(0, "#0a0a2a");
+    gradient.addColorStop(1, "#1a1a40");
+    scene.background(gradient);
+
+    // Lightning from the last strike, timed from the strike rather than the beat so
+    // later beats don't light it up again
+    const energy = scene.energy;
+    const fade = state.strike ? 1 - (scene.time - state.strike.time) / state.strike.duration : 0;
+    if (state.strike && fade <= 0.4) state.strike = null;
+    if (state.strike) {
+      ctx.fillStyle = `rgba(200, 200, 255, ${(fade - 0.4) * 0.15})`;
+      ctx.fillRect(0, 0, cw, ch);
+      ctx.strokeStyle = `rgba(255, 255, 255, ${0.7 * fade})`;
+      ctx.lineWidth = state.strike.width;
+      ctx.beginPath();
+      state.strike.points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.stroke();
+    }
+
+    // Rain drops, slanting with the wind; new ones keep about the same number falling
+    state.drops.rate = (scene.params.dropCount * 350) / ch;
+    state.rain.update(scene.dt);
+    ctx.strokeStyle = "rgba(150, 150, 255, 0.6)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    state.rain.particles.forEach(p => {
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(p.x - 1 + (p.vx * 8) / p.vy, p.y + 8);
+    });
+    ctx.stroke();
+
+    // Storm intensity visualization
+    const stormIntensity = energy * 0.8;
+    state.sparks.update(scene.dt);
+    state.sparks.particles.forEach(p => {
+      const v = scene.level(p.band);
+      const radius = 1 + v * 10 * stormIntensity;
+
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      ctx.fillStyle = `rgba(100, 100, 255, ${0.2 + v * 0.5})`;
+      ctx.fill();
+    });
+  }
+});
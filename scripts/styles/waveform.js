@@ -0,0 +1,47 @@
+// waveform.js - Waveform style: oscilloscope trace, registered without a button
+
+registerStyle({
+  id: "waveform",
+  label: "Waveform",
+  tags: ["minimal"],
+  hidden: true,
+  params: {
+    color: { type: "color", default: "#00ffff", label: "Color" },
+    lineWidth: { default: 2, min: 1, max: 6, step: 0.5, label: "Line width" }
+  },
+
+  init() {
+    return {};
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const data = scene.waveform;
+    scene.background("#000015");
+
+    const cw = scene.width;
+    const ch = scene.height;
+
+    ctx.lineWidth = scene.params.lineWidth;
+    ctx.strokeStyle = scene.params.color;
+    ctx.beginPath();
+
+    const sliceWidth = cw / scene.bufferLength;
+    let x = 0;
+
+    for (let i = 0; i < scene.bufferLength; i++) {
+      const v = data[i] / 128.0;
+      const y = v * ch / 2;
+
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+
+      x += sliceWidth;
+    }
+
+    ctx.stroke();
+  }
+});
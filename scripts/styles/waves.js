@@ -0,0 +1,125 @@
+// waves.js - Waves style: stacked ocean swells, each layer driven by its own part of the spectrum
+
+function createWaveLayers(count, random) {
+  const layers = [];
+  for (let i = 0; i < count; i++) {
+    layers.push({
+      level: 0,                   // eased band level
+      offset: random() * 1000,
+      seed: random() * Math.PI * 2
+    });
+  }
+  return layers;
+}
+
+// Height of a swell at x: a main sine plus two smaller harmonics for a natural chop
+function waveHeight(x, layer, wavelength, phase) {
+  const k = (Math.PI * 2) / wavelength;
+  return Math.sin(x * k + phase) +
+    0.35 * Math.sin(x * k * 2.1 + phase * 1.6 + layer.seed) +
+    0.15 * Math.sin(x * k * 4.3 - phase * 0.7 + layer.seed * 2);
+}
+
+registerStyle({
+  id: "waves",
+  label: "Waves",
+  tags: ["calm", "nature", "water", "blue", "cool"],
+  params: {
+    layerCount: { default: 5, min: 2, max: 10, step: 1, label: "Layers", tags: ["density"] },
+    swell: { default: 1, min: 0.2, max: 2, step: 0.05, label: "Swell height", tags: ["size", "intensity"] },
+    speed: { default: 1, min: 0.1, max: 3, step: 0.05, label: "Speed", tags: ["speed"] },
+    warmth: { default: 0, min: -1, max: 1, step: 0.05, label: "Warmth", tags: ["warmth"] },
+    foam: { type: "toggle", default: true, label: "Foam" }
+  },
+
+  init(scene) {
+    return {
+      layers: createWaveLayers(scene.params.layerCount, scene.random)
+    };
+  },
+
+  render(state, scene) {
+    const ctx = scene.ctx;
+    const cw = scene.width;
+    const ch = scene.height;
+    const count = scene.params.layerCount;
+    const dt = scene.dt;
+
+    if (state.layers.length !== count) {
+      state.layers = createWaveLayers(count, scene.random);
+    }
+
+    // Dusk sky with a low, soft sun
+    scene.background("#0b1a33");
+    const sky = ctx.createLinearGradient(0, 0, 0, ch * 0.55);
+    sky.addColorStop(0, "rgba(20, 30, 70, 0.9)");
+    sky.addColorStop(1, "rgba(240, 160, 130, 0.35)");
+    ctx.fillStyle = sky;
+    ctx.fillRect(0, 0, cw, ch * 0.55);
+
+    const sunGlow = ctx.createRadialGradient(cw * 0.7, ch * 0.38, 0, cw * 0.7, ch * 0.38, ch * 0.35);
+    sunGlow.addColorStop(0, `rgba(255, 214, 170, ${0.5 + scene.energy * 0.3})`);
+    sunGlow.addColorStop(1, "rgba(255, 214, 170, 0)");
+    ctx.fillStyle = sunGlow;
+    ctx.fillRect(0, 0, cw, ch);
+
+    // Back to front: far layers sit higher, move slower and fade into the haze
+    state.layers.forEach((layer, i) => {
+      const depth = count > 1 ? i / (count - 1) : 1; // 0 = horizon, 1 = nearest
+      // The far swells follow the bass, the near ones the treble
+      const target = scene.level((i + 0.5) / count);
+      layer.level += (target - layer.level) * Math.min(1, dt * 4);
+
+      const baseY = ch * (0.5 + depth * 0.4);
+      const amplitude = ch * (0.008 + depth * 0.03) * (0.4 + layer.level * 1.6) * scene.params.swell;
+      const wavelength = cw * (0.18 + depth * 0.35) / (0.7 + layer.level * 0.6);
+      layer.offset += dt * (0.3 + depth * 0.9) * (0.6 + layer.level) * scene.params.speed;
+      const phase = layer.offset;
+
+      const step = Math.max(2, cw / 160);
+      const points = [];
+      for (let x = 0; x <= cw + step; x += step) {
+        points.push({ x, y: baseY - waveHeight(x, layer, wavelength, phase) * amplitude });
+      }
+
+      // Body: deeper blue toward the viewer, lighter and hazier at the horizon
+      const lightness = 42 - depth * 26;
+      const warmth = scene.params.warmth;
+      const body = ctx.createLinearGradient(0, baseY - amplitude * 1.5, 0, ch);
+      body.addColorStop(0, `hsla(${warmHue(205 - depth * 15, warmth)}, 60%, ${lightness + 12}%, ${0.55 + depth * 0.4})`);
+      body.addColorStop(1, `hsla(${warmHue(215 - depth * 10, warmth)}, 70%, ${lightness * 0.5}%, 1)`);
+
+      ctx.beginPath();
+      ctx.moveTo(0, ch);
+      points.forEach(p => ctx.lineTo(p.x, p.y));
+      ctx.lineTo(cw, ch);
+      ctx.closePath();
+      ctx.fillStyle = body;
+      ctx.fill();
+
+      // Light along the surface line
+      ctx.beginPath();
+      points.forEach((p, j) => (j === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+      ctx.strokeStyle = `hsla(${warmHue(195, warmth)}, 70%, 80%, ${0.15 + depth * 0.2})`;
+      ctx.lineWidth = 1 + depth;
+      ctx.stroke();
+
+      // Foam on the crests (local peaks, i.e. the highest points on screen)
+      if (!scene.params.foam) return;
+      ctx.fillStyle = `rgba(255, 255, 255, ${0.25 + layer.level * 0.5})`;
+      for (let j = 1; j < points.length - 1; j++) {
+        const p = points[j];
+        if (p.y < points[j - 1].y && p.y <= points[j + 1].y && p.y < baseY - amplitude * 0.6) {
+          const foam = 3 + depth * 8 + layer.level * 10;
+          for (let f = 0; f < 5; f++) {
+            const fx = p.x + Math.sin(layer.seed + f * 2.3 + phase) * foam;
+            const fy = p.y + Math.abs(Math.cos(f * 1.7 + phase)) * foam * 0.3;
+            ctx.beginPath();
+            ctx.arc(fx, fy, 0.8 + depth * 1.6, 0, Math.PI * 2);
+            ctx.fill();
+          }
+        }
+      }
+    });
+  }
+});
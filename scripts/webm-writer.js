@@ -0,0 +1,253 @@
+// webm-writer.js - Minimal WebM (Matroska) muxer for WebCodecs output
+//
+// Collects EncodedVideoChunk / EncodedAudioChunk data and assembles a seekable
+// WebM file in memory: one video track (VP8/VP9) and an optional Opus track.
+
+function createWebMWriter(options) {
+  const width = options.width;
+  const height = options.height;
+  const frameRate = options.frameRate || 30;
+  const videoCodecId = options.videoCodec || "V_VP9";
+  const audio = options.audio || null; // { sampleRate, channels, codecPrivate }
+
+  const VIDEO_TRACK = 1;
+  const AUDIO_TRACK = 2;
+  const MAX_CLUSTER_MS = 30000;
+
+  const blocks = [];
+  let durationMs = 0;
+
+  // ----- EBML encoding helpers -----
+  function idBytes(id) {
+    const bytes = [];
+    while (id > 0) {
+      bytes.unshift(id & 0xff);
+      id = Math.floor(id / 256);
+    }
+    return new Uint8Array(bytes);
+  }
+
+  function sizeBytes(size, length) {
+    if (!length) {
+      length = 1;
+      while (size >= Math.pow(2, 7 * length) - 1) length++;
+    }
+    const bytes = new Uint8Array(length);
+    let value = size;
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+  }
+
+  function uintBytes(value, length) {
+    if (!length) {
+      length = 1;
+      while (value >= Math.pow(2, 8 * length)) length++;
+    }
+    const bytes = new Uint8Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      bytes[i] = value % 256;
+      value = Math.floor(value / 256);
+    }
+    return bytes;
+  }
+
+  function floatBytes(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return bytes;
+  }
+
+  function stringBytes(value) {
+    return new TextEncoder().encode(value);
+  }
+
+  // An element is { parts: Uint8Array[], length } so large payloads are never copied
+  function element(id, children, fixedSizeLength) {
+    const parts = [];
+    let length = 0;
+    const list = Array.isArray(children) ? children : [children];
+    list.forEach(child => {
+      if (child instanceof Uint8Array) {
+        parts.push(child);
+        length += child.length;
+      } else if (child) {
+        child.parts.forEach(part => parts.push(part));
+        length += child.length;
+      }
+    });
+    const head = idBytes(id);
+    const size = sizeBytes(length, fixedSizeLength);
+    return {
+      parts: [head, size].concat(parts),
+      length: head.length + size.length + length
+    };
+  }
+
+  // ----- Public API -----
+  function chunkData(chunk) {
+    const data = new Uint8Array(chunk.byteLength);
+    chunk.copyTo(data);
+    return data;
+  }
+
+  function addVideoChunk(chunk) {
+    blocks.push({
+      track: VIDEO_TRACK,
+      timeMs: Math.round(chunk.timestamp / 1000),
+      key: chunk.type === "key",
+      data: chunkData(chunk)
+    });
+    durationMs = Math.max(durationMs, (chunk.timestamp + (chunk.duration || 1000000 / frameRate)) / 1000);
+  }
+
+  function addAudioChunk(chunk) {
+    if (!audio) return;
+    blocks.push({
+      track: AUDIO_TRACK,
+      timeMs: Math.round(chunk.timestamp / 1000),
+      key: true,
+      data: chunkData(chunk)
+    });
+    durationMs = Math.max(durationMs, (chunk.timestamp + (chunk.duration || 0)) / 1000);
+  }
+
+  function simpleBlock(block, clusterTime) {
+    const header = new Uint8Array(4);
+    const relative = block.timeMs - clusterTime;
+    header[0] = 0x80 | block.track;
+    header[1] = (relative >> 8) & 0xff;
+    header[2] = relative & 0xff;
+    header[3] = block.key ? 0x80 : 0x00;
+    return element(0xA3, [header, block.data]);
+  }
+
+  function buildClusters() {
+    // Interleave tracks by time; audio sorts first on ties so it precedes the keyframe
+    const ordered = blocks.slice().sort((a, b) => a.timeMs - b.timeMs || b.track - a.track);
+    const clusters = [];
+    let current = null;
+
+    ordered.forEach(block => {
+      const startsCluster = !current ||
+        (block.track === VIDEO_TRACK && block.key) ||
+        block.timeMs - current.time > MAX_CLUSTER_MS;
+      if (startsCluster) {
+        current = { time: block.timeMs, keyframe: block.track === VIDEO_TRACK && block.key, children: [] };
+        current.children.push(element(0xE7, uintBytes(current.time)));
+        clusters.push(current);
+      }
+      current.children.push(simpleBlock(block, current.time));
+    });
+
+    return clusters.map(cluster => ({
+      time: cluster.time,
+      keyframe: cluster.keyframe,
+      node: element(0x1F43B675, cluster.children)
+    }));
+  }
+
+  function buildTracks() {
+    const videoEntry = element(0xAE, [
+      element(0xD7, uintBytes(VIDEO_TRACK)),
+      element(0x73C5, uintBytes(VIDEO_TRACK)),
+      element(0x83, uintBytes(1)),
+      element(0x86, stringBytes(videoCodecId)),
+      element(0x23E383, uintBytes(Math.round(1e9 / frameRate))),
+      element(0xE0, [
+        element(0xB0, uintBytes(width)),
+        element(0xBA, uintBytes(height))
+      ])
+    ]);
+
+    const entries = [videoEntry];
+    if (audio) {
+      const preSkip = audio.codecPrivate ? audio.codecPrivate[10] | (audio.codecPrivate[11] << 8) : 0;
+      entries.push(element(0xAE, [
+        element(0xD7, uintBytes(AUDIO_TRACK)),
+        element(0x73C5, uintBytes(AUDIO_TRACK)),
+        element(0x83, uintBytes(2)),
+        element(0x86, stringBytes("A_OPUS")),
+        audio.codecPrivate ? element(0x63A2, audio.codecPrivate) : null,
+        element(0x56AA, uintBytes(Math.round(preSkip * 1e9 / 48000))),
+        element(0x56BB, uintBytes(80000000)),
+        element(0xE1, [
+          element(0xB5, floatBytes(audio.sampleRate)),
+          element(0x9F, uintBytes(audio.channels))
+        ])
+      ]));
+    }
+    return element(0x1654AE6B, entries);
+  }
+
+  function finalize() {
+    const ebmlHeader = element(0x1A45DFA3, [
+      element(0x4286, uintBytes(1)),
+      element(0x42F7, uintBytes(1)),
+      element(0x42F2, uintBytes(4)),
+      element(0x42F3, uintBytes(8)),
+      element(0x4282, stringBytes("webm")),
+      element(0x4287, uintBytes(4)),
+      element(0x4285, uintBytes(2))
+    ]);
+
+    const info = element(0x1549A966, [
+      element(0x2AD7B1, uintBytes(1000000)),
+      element(0x4489, floatBytes(durationMs)),
+      element(0x4D80, stringBytes("Substrata101")),
+      element(0x5741, stringBytes("Substrata101"))
+    ]);
+    const tracks = buildTracks();
+    const clusters = buildClusters();
+
+    // SeekHead uses fixed-width positions so its own size is known up front
+    function seekHead(infoPos, tracksPos, cuesPos) {
+      const seek = (id, pos) => element(0x4DBB, [
+        element(0x53AB, idBytes(id)),
+        element(0x53AC, uintBytes(pos, 8))
+      ]);
+      return element(0x114D9B74, [
+        seek(0x1549A966, infoPos),
+        seek(0x1654AE6B, tracksPos),
+        seek(0x1C53BB6B, cuesPos)
+      ]);
+    }
+
+    const seekHeadLength = seekHead(0, 0, 0).length;
+    const infoPos = seekHeadLength;
+    const tracksPos = infoPos + info.length;
+    let position = tracksPos + tracks.length;
+
+    const cuePoints = [];
+    clusters.forEach(cluster => {
+      if (cluster.keyframe) {
+        cuePoints.push(element(0xBB, [
+          element(0xB3, uintBytes(cluster.time)),
+          element(0xB7, [
+            element(0xF7, uintBytes(VIDEO_TRACK)),
+            element(0xF1, uintBytes(position))
+          ])
+        ]));
+      }
+      position += cluster.node.length;
+    });
+    const cues = element(0x1C53BB6B, cuePoints);
+
+    const segment = element(0x18538067, [
+      seekHead(infoPos, tracksPos, position),
+      info,
+      tracks
+    ].concat(clusters.map(cluster => cluster.node)).concat([cues]), 8);
+
+    return new Blob(ebmlHeader.parts.concat(segment.parts), { type: "video/webm" });
+  }
+
+  return {
+    addVideoChunk,
+    addAudioChunk,
+    finalize
+  };
+}
@@ -0,0 +1,113 @@
+// zip-writer.js - Store-only ZIP archive builder (used for image-sequence exports)
+//
+// Files are stored uncompressed; PNG and WAV data gain nothing from deflate anyway.
+// There is no ZIP64: an archive holds at most ZIP_MAX_ENTRIES files and
+// ZIP_MAX_BYTES in all, and addFile()/finalize() throw rather than pass either.
+
+const ZIP_MAX_ENTRIES = 0xFFFF;
+const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+function createZipWriter() {
+  const entries = [];
+  const parts = [];
+  let offset = 0;
+
+  const crcTable = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+
+  function crc32(data) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < data.length; i++) {
+      crc = crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, day };
+  }
+
+  function addFile(name, data) {
+    const nameBytes = new TextEncoder().encode(name);
+    if (entries.length >= ZIP_MAX_ENTRIES) {
+      throw new Error(`A ZIP archive holds at most ${ZIP_MAX_ENTRIES} files.`);
+    }
+    // Room for this file and its central directory record
+    if (offset + 30 + 46 + nameBytes.length * 2 + data.length > ZIP_MAX_BYTES) {
+      throw new Error("The archive would pass the 4 GB a ZIP file can hold.");
+    }
+    const crc = crc32(data);
+    const stamp = dosDateTime(new Date());
+
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);          // version needed
+    view.setUint16(6, 0x0800, true);      // UTF-8 names
+    view.setUint16(8, 0, true);           // stored
+    view.setUint16(10, stamp.time, true);
+    view.setUint16(12, stamp.day, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, data.length, true);
+    view.setUint16(26, nameBytes.length, true);
+    header.set(nameBytes, 30);
+
+    entries.push({ nameBytes, crc, size: data.length, offset, stamp });
+    parts.push(header, data);
+    offset += header.length + data.length;
+  }
+
+  function finalize() {
+    const central = [];
+    let centralSize = 0;
+
+    entries.forEach(entry => {
+      const record = new Uint8Array(46 + entry.nameBytes.length);
+      const view = new DataView(record.buffer);
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);        // version made by
+      view.setUint16(6, 20, true);        // version needed
+      view.setUint16(8, 0x0800, true);
+      view.setUint16(10, 0, true);
+      view.setUint16(12, entry.stamp.time, true);
+      view.setUint16(14, entry.stamp.day, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.nameBytes.length, true);
+      view.setUint32(42, entry.offset, true);
+      record.set(entry.nameBytes, 46);
+      central.push(record);
+      centralSize += record.length;
+    });
+
+    if (offset + centralSize > ZIP_MAX_BYTES) {
+      throw new Error("The archive would pass the 4 GB a ZIP file can hold.");
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, entries.length, true);
+    view.setUint16(10, entries.length, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, offset, true);
+
+    return new Blob(parts.concat(central, [end]), { type: "application/zip" });
+  }
+
+  return {
+    addFile,
+    finalize,
+    size: () => offset    // bytes written so far
+  };
+}